@@ -62,7 +62,7 @@
             find: ["dispatchRemoveSong:e,"],
             replacements: [
                 {
-                    match: /isPlayable\(\)\{const\{([^}]*)playerIsRadio:([a-z]+)(?:,)?/g,
+                    match: /isPlayable\(\)\{const\{([^}]*)playerIsRadio:(\i)(?:,)?/g,
                     replace: (_, $1, $2) => `isPlayable(){const ${$2}=false,{${$1}`,
                 }
             ]
@@ -71,7 +71,7 @@
             find: ["this.handleConfirm=this.handleConfirm.bind(this)"],
             replacements: [
                 {
-                    match: /isPlayable\(\)\{const\{([^}]*)playerIsRadio:([a-z])(?:,)?/g,
+                    match: /isPlayable\(\)\{const\{([^}]*)playerIsRadio:(\i)(?:,)?/g,
                     replace: (_, $1, $2) => `isPlayable(){const ${$2}=false,{${$1}`,
                 }
             ]
@@ -94,7 +94,7 @@
             find: ["=1209600;"],
             replacements: [
                 {
-                    match: /addNext:function(.*)if\([a-zA-Z]+\.isRadio\(\)\)return!1;/,
+                    match: /addNext:function(.*)if\(\i\.isRadio\(\)\)return!1;/,
                     replace: (_, $1) => `addNext:function${$1}`,
                 }
             ]
@@ -103,7 +103,7 @@
             find: [`JSON.parse('{"default":`],
             replacements: [
                 {
-                    match: /NB_SONG\|\|[a-zA-Z]+\.[a-zA-Z]+\.isRadio\(\)/,
+                    match: /NB_SONG\|\|\i\.\i\.isRadio\(\)/,
                     replace: "NB_SONG",
                 }
             ]
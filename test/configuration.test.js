@@ -0,0 +1,31 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PatchHarness } = require("../tools/harness.js");
+
+const STORAGE_KEY = "WebpackPatcher.configurations";
+
+test("stored configurations can be saved and removed", () => {
+    const storage = {};
+    const harness = new PatchHarness({ storage });
+    harness.WebpackPatcher.saveConfiguration({ name: "stored", hostnames: ["example.com"] });
+
+    assert.deepEqual(JSON.parse(storage[STORAGE_KEY]).map(config => config.name), ["stored"]);
+    assert.equal(harness.WebpackPatcher.removeConfiguration("stored"), true);
+    assert.equal(harness.WebpackPatcher.removeConfiguration("stored"), false);
+    assert.deepEqual(JSON.parse(storage[STORAGE_KEY]), []);
+});
+
+test("invalid stored configurations are ignored and can be cleared", () => {
+    const storage = { [STORAGE_KEY]: "[{\"name\":" };
+    const harness = new PatchHarness({ storage });
+
+    assert.ok(harness.WebpackPatcher);
+    assert.equal(harness.WebpackPatcher.removeConfiguration("stored"), true);
+    assert.equal(storage[STORAGE_KEY], undefined);
+
+    harness.WebpackPatcher.saveConfiguration({ name: "stored", hostnames: ["example.com"] });
+    assert.equal(JSON.parse(storage[STORAGE_KEY]).length, 1);
+});
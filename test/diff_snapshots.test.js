@@ -0,0 +1,94 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { PatchHarness } = require("../tools/harness.js");
+const { diff_snapshots, patches_from_snapshot, patches_from_files, evaluate_patch, tokenize, similarity } = require("../tools/diff_snapshots.js");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+
+/**
+ * Load modules into a harness, register patches and dump them
+ * @param {Object<string, string>} modules - Module ID -> source
+ * @param {Array<Object>} patches - Patches to register
+ * @returns {Object} Snapshot
+ */
+function create_snapshot(modules, patches = []) {
+    const harness = new PatchHarness();
+    if (patches.length > 0) {
+        harness.register({ name: "diff" }, patches);
+    }
+    harness.create_runtime(modules, { script_url: "https://harness.local/assets/web.0123abcd.js" });
+    return JSON.parse(JSON.stringify(harness.WebpackPatcher.dumpModules()));
+}
+
+const OLD_MODULES = {
+    1: "function(e,t,n){e.exports={dispatchTyping(){return n(2).dispatch({type:\"TYPING_START_LOCAL\",channelId:1})}}}",
+    2: "function(e){e.exports={dispatch:e=>e}}",
+    3: "function(e){e.exports={renderMessage(e){return e.content}}}"
+};
+const NEW_MODULES = {
+    1: "function(e,t,r){e.exports={dispatchTyping(){return r(2).dispatch({type:\"TYPING_START\",channelId:1})}}}",
+    2: "function(e){e.exports={dispatch:e=>e}}",
+    3: "function(e){e.exports={renderMessage(t){return t.content}}}",
+    4: "function(e){e.exports={added:!0}}"
+};
+const PATCHES = [
+    { find: "TYPING_START_LOCAL", replacements: [{ match: /return (\i)\(2\)/, replace: "return null;$&" }] },
+    { find: "renderMessage", replacements: [{ match: "return e.content", replace: "return ''" }] },
+    { find: "dispatch:", replacements: [{ match: "e=>e", replace: "e=>null" }] },
+    { find: "nothere", replacements: [{ match: "x", replace: "y" }] }
+];
+
+test("dumps contain the original sources, build metadata and the patches", () => {
+    const snapshot = create_snapshot(OLD_MODULES, PATCHES);
+    const [instance] = snapshot.instances;
+
+    assert.equal(snapshot.format, 1);
+    assert.equal(instance.key, "web.js");
+    assert.equal(instance.module_count, 3);
+    assert.equal(instance.modules[1], OLD_MODULES[1]);
+    assert.equal(snapshot.patches.length, 4);
+    assert.deepEqual(snapshot.patches[0].replacements[0].match, { source: "return ((?:[A-Za-z_$][\\w$]*))\\(2\\)", flags: "" });
+});
+
+test("comparing two builds reports working and broken patches with candidates", () => {
+    const old_snapshot = create_snapshot(OLD_MODULES, PATCHES);
+    const new_snapshot = create_snapshot(NEW_MODULES);
+    const result = diff_snapshots(old_snapshot, new_snapshot, patches_from_snapshot(old_snapshot));
+    const status = Object.fromEntries(result.patches.map(patch => [patch.index, patch.status]));
+
+    assert.deepEqual(status, { 0: "broken", 1: "replacements_broken", 2: "ok", 3: "unmatched" });
+    assert.deepEqual(result.modules, { added: 1, removed: 0, changed: 2, unchanged: 1 });
+    assert.equal(result.patches[0].candidates[0].module_id, "1");
+    assert.deepEqual(result.patches[1].new_matches, ["3"]);
+    assert.deepEqual(result.patches[1].candidates.map(candidate => candidate.module_id).slice(0, 1), ["3"]);
+    assert.deepEqual(result.patches[2].candidates, []);
+});
+
+test("patches can be loaded from patch scripts", () => {
+    const patches = patches_from_files([path.join(FIXTURES, "patches.user.js")]);
+
+    assert.equal(patches.length, 2);
+    assert.equal(patches[0].registrar_name, "fixture");
+    assert.equal(patches[0].find, "TYPING_START_LOCAL");
+});
+
+test("match counts include occurrences a replacement without global doesn't replace", () => {
+    const modules = { 1: "function(e){e.exports={v:1,w:{v:1}}}" };
+    const once = evaluate_patch({ find: "v:1", replacements: [{ match: "v:1", replace: "v:2", count: 1 }] }, modules);
+    const twice = evaluate_patch({ find: "v:1", replacements: [{ match: "v:1", replace: "v:2", count: 2 }] }, modules);
+
+    assert.deepEqual(once.working, []);
+    assert.deepEqual(twice.working, ["1"]);
+    assert.equal(twice.replacement_hits[0]["1"], 1);
+});
+
+test("similarity ignores minified names", () => {
+    const a = tokenize("function(e,t,n){return n(5).render({type:\"X\"})}");
+    const b = tokenize("function(r,o,i){return i(7).render({type:\"X\"})}");
+
+    assert.equal(similarity(a, b), 1);
+});
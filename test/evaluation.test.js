@@ -0,0 +1,128 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PatchHarness } = require("../tools/harness.js");
+
+const MODULES = { 1: "function(e){e.exports={v:1,s:\"target\"}}" };
+
+/**
+ * Create a harness with a patch for module 1, after running a script which restricts code evaluation like a CSP would
+ * @param {string} restrictions - Script run in the page context before webpack is detected
+ * @param {Object} [patcher_options] - Options for the patcher
+ * @returns {{harness: PatchHarness, webpack_require: Function}} Harness and runtime
+ */
+function create_restricted(restrictions, patcher_options = {}) {
+    const harness = new PatchHarness({ patcher_options });
+    harness.run_script(restrictions);
+    harness.register({ name: "csp" }, [{ find: "target", replacements: [{ match: "v:1", replace: "v:2" }] }]);
+    return { harness, webpack_require: harness.create_runtime(MODULES) };
+}
+
+const BLOCK_EVAL = "globalThis.eval = function() { throw new EvalError(\"Refused to evaluate a string as JavaScript\"); };";
+const BLOCK_FUNCTION = "globalThis.Function = function() { throw new EvalError(\"Refused to evaluate a string as JavaScript\"); };";
+
+test("eval is used when nothing is restricted", () => {
+    const { harness, webpack_require } = create_restricted("", { source_maps: true });
+    const info = harness.WebpackPatcher.getEvaluationInfo();
+
+    assert.equal(info.strategy, "eval");
+    assert.equal(info.source_maps, true);
+    assert.equal(webpack_require(1).v, 2);
+});
+
+test("source maps are only built when enabled", () => {
+    const { harness, webpack_require } = create_restricted("");
+
+    assert.equal(harness.WebpackPatcher.getEvaluationInfo().source_maps, false);
+    assert.equal(webpack_require(1).v, 2);
+});
+
+test("new Function is used if eval is blocked", () => {
+    const { harness, webpack_require } = create_restricted(BLOCK_EVAL, { source_maps: true });
+    const info = harness.WebpackPatcher.getEvaluationInfo();
+
+    assert.equal(info.strategy, "function");
+    assert.equal(info.source_maps, false);
+    assert.match(info.failures.eval, /Refused/);
+    assert.equal(webpack_require(1).v, 2);
+});
+
+test("patching is disabled once at detection if no strategy works", () => {
+    const { harness, webpack_require } = create_restricted(BLOCK_EVAL + BLOCK_FUNCTION);
+    const info = harness.WebpackPatcher.getEvaluationInfo();
+
+    assert.equal(info.strategy, null);
+    assert.deepEqual(Object.keys(info.failures), ["eval", "function", "script"]);
+    assert.equal(webpack_require(1).v, 1);
+    assert.equal(harness.logs.filter(log => log.level === "error").length, 1);
+    assert.equal(harness.WebpackPatcher.getPatchReport("csp").patches[0].failures.length, 0);
+});
+
+test("code is passed as TrustedScript where only Trusted Types are accepted", () => {
+    const { harness, webpack_require } = create_restricted(`
+        const original_eval = eval;
+        globalThis.trustedTypes = { createPolicy: (name, rules) => ({ createScript: (script) => ({ script: rules.createScript(script), toString() { return this.script; } }) }) };
+        globalThis.eval = function(code) {
+            if (typeof code === "string") throw new EvalError("This document requires 'TrustedScript' assignment");
+            return original_eval(String(code));
+        };
+    `);
+    const info = harness.WebpackPatcher.getEvaluationInfo();
+
+    assert.equal(info.strategy, "eval");
+    assert.equal(info.trusted_types, true);
+    assert.equal(webpack_require(1).v, 2);
+});
+
+test("an inline script element with the page's nonce is used if eval and new Function are blocked", () => {
+    const { harness, webpack_require } = create_restricted(`
+        const original_eval = eval;
+        const scripts = [];
+        globalThis.addEventListener = globalThis.removeEventListener = () => {};
+        globalThis.document = {
+            documentElement: {},
+            head: { appendChild(script) { if (script.nonce === "page-nonce") original_eval(script.text); } }, // like a nonce based CSP
+            createElement: () => { const script = { text: "", remove() {} }; scripts.push(script); return script; },
+            querySelector: (selector) => selector === "script[nonce]" ? { nonce: "page-nonce" } : null
+        };
+        globalThis.created_scripts = scripts;
+    ` + BLOCK_EVAL + BLOCK_FUNCTION, { source_maps: true });
+    const info = harness.WebpackPatcher.getEvaluationInfo();
+
+    assert.equal(info.strategy, "script");
+    assert.equal(info.source_maps, true);
+    assert.equal(webpack_require(1).v, 2);
+    assert.ok(harness.run_script("created_scripts").every(script => script.nonce === "page-nonce"));
+    assert.equal(harness.run_script("Object.getOwnPropertyNames(window).filter(key => key.startsWith(\"__webpack_patcher\")).length"), 0);
+});
+
+test("patch previews check the syntax with the detected strategy", () => {
+    const { harness } = create_restricted(BLOCK_FUNCTION);
+    const [valid] = harness.WebpackPatcher.search("v:1", { test: { replacements: [{ match: "v:1", replace: "v:2" }] } }).test;
+    const [broken] = harness.WebpackPatcher.search("v:1", { test: { replacements: [{ match: "v:1", replace: "v:" }] } }).test;
+
+    assert.equal(harness.WebpackPatcher.getEvaluationInfo().strategy, "eval");
+    assert.equal(valid.syntax_checked, true);
+    assert.equal(valid.error, null);
+    assert.match(broken.error, /^Syntax error/);
+    assert.equal(harness.WebpackPatcher.validatePatches().csp.ok, true);
+});
+
+test("the syntax is not checked with the script strategy", () => {
+    const { harness } = create_restricted(`
+        const original_eval = eval;
+        globalThis.addEventListener = globalThis.removeEventListener = () => {};
+        globalThis.document = {
+            documentElement: { appendChild(script) { original_eval(script.text); } },
+            createElement: () => ({ text: "", remove() {} }),
+            querySelector: () => null
+        };
+    ` + BLOCK_EVAL + BLOCK_FUNCTION);
+    const [broken] = harness.WebpackPatcher.search("v:1", { test: { replacements: [{ match: "v:1", replace: "v:" }] } }).test;
+
+    assert.equal(harness.WebpackPatcher.getEvaluationInfo().strategy, "script");
+    assert.equal(broken.syntax_checked, false);
+    assert.equal(broken.error, null);
+});
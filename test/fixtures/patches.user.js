@@ -0,0 +1,32 @@
+// ==UserScript==
+// @name        Harness fixture
+// @description Patches for test/fixtures/modules.json
+// ==/UserScript==
+
+(function() {
+    "use strict";
+
+    window.WebpackPatcher.register({
+        name: "fixture",
+        data: { silent: true }
+    }, [
+        {
+            find: "TYPING_START_LOCAL",
+            replacements: [
+                {
+                    match: /return (\i)\(200\)/,
+                    replace: (_, require) => `if(${WebpackPatcher.placeholders.data}.silent)return null;return ${require}(200)`
+                }
+            ]
+        },
+        {
+            find: "MESSAGE_CREATE",
+            replacements: [
+                {
+                    match: "MESSAGE_CREATE",
+                    replace: "MESSAGE_CREATE_PATCHED"
+                }
+            ]
+        }
+    ]);
+})();
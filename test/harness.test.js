@@ -0,0 +1,98 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+const { spawnSync } = require("child_process");
+
+const { PatchHarness, read_modules, summarize_report } = require("../tools/harness.js");
+
+const HARNESS_PATH = path.join(__dirname, "..", "tools", "harness.js");
+const FIXTURES = path.join(__dirname, "fixtures");
+
+test("the simulated runtime is detected through the .m/.c setters", () => {
+    const harness = new PatchHarness();
+    const webpack_require = harness.create_runtime({ 1: "function(e){e.exports={a:1}}" });
+
+    assert.equal(harness.WebpackPatcher.isWebpackDetected, true);
+    assert.equal(harness.WebpackPatcher.instances.length, 1);
+    assert.equal(harness.WebpackPatcher.primaryInstance.name, "runtime.js");
+    assert.equal(webpack_require(1).a, 1);
+    assert.equal(harness.WebpackPatcher.moduleCache.get(1).exports.a, 1);
+});
+
+test("webpack_detected reports the flavour of rspack runtimes before their first module executes", () => {
+    const harness = new PatchHarness();
+    const events = [];
+    harness.WebpackPatcher.addEventListener("webpack_detected", (webpack_require, module_factories, instance, runtime) => events.push(runtime.flavour));
+    const webpack_require = harness.create_runtime({ 1: "function(e){e.exports={a:1}}" }, { rspack: true });
+
+    assert.deepEqual(events, []);
+    webpack_require(1);
+    assert.deepEqual(events, ["rspack"]);
+    webpack_require(1);
+    assert.deepEqual(events, ["rspack"]);
+});
+
+test("webpack_detected is emitted after the runtime's setup if no module executes", async () => {
+    const harness = new PatchHarness();
+    const events = [];
+    harness.WebpackPatcher.addEventListener("webpack_detected", (webpack_require, module_factories, instance, runtime) => events.push(runtime.flavour));
+    harness.create_runtime({ 1: "function(e){e.exports={a:1}}" });
+
+    assert.deepEqual(events, []);
+    await harness.settle();
+    assert.deepEqual(events, ["webpack5"]);
+});
+
+test("patch files run against saved modules", () => {
+    const harness = new PatchHarness();
+    harness.run_script_file(path.join(FIXTURES, "patches.user.js"));
+    const webpack_require = harness.create_runtime(read_modules(path.join(FIXTURES, "modules.json")).modules);
+
+    const errors = harness.require_modules(webpack_require);
+    assert.deepEqual(errors.map(error => error.module_id), ["300"]); // needs document
+    assert.equal(webpack_require(100).startTyping(1), null);
+    assert.match(harness.get_patched_source("100"), /\.silent\)return null;return n\(200\)/);
+    assert.equal(harness.get_patched_source("200"), null);
+
+    const { lines, ok } = summarize_report(harness.WebpackPatcher.getPatchReport());
+    assert.equal(ok, false); // the second patch never matches
+    assert.ok(lines.some(line => line.includes("patch 1") && line.includes("never matched")));
+});
+
+test("chunks pushed after the runtime started are patched", () => {
+    const harness = new PatchHarness();
+    harness.WebpackPatcher.register({ name: "chunk" }, [{ find: "late", replacements: [{ match: "1", replace: "2" }] }]);
+    const webpack_require = harness.create_runtime();
+    harness.push_chunk([5], { 50: "function(e){e.exports={late:1}}" });
+
+    assert.equal(webpack_require(50).late, 2);
+});
+
+test("command line runner reports results and writes patched modules", () => {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), "webpack-patcher-"));
+    try {
+        const result = spawnSync(process.execPath, [
+            HARNESS_PATH,
+            "--modules", path.join(FIXTURES, "modules.json"),
+            "--patches", path.join(FIXTURES, "patches.user.js"),
+            "--out", out
+        ], { encoding: "utf8", timeout: 30000 });
+
+        assert.equal(result.status, 1, result.stderr);
+        assert.match(result.stdout, /patch 0 \("TYPING_START_LOCAL"\): matched 1, patched 1/);
+        assert.match(result.stdout, /patch 1 \("MESSAGE_CREATE"\): matched 0, patched 0 - never matched/);
+        assert.deepEqual(fs.readdirSync(out), ["100.js"]);
+    } finally {
+        fs.rmSync(out, { recursive: true, force: true });
+    }
+});
+
+test("command line runner rejects missing arguments", () => {
+    const result = spawnSync(process.execPath, [HARNESS_PATH, "--modules", "x.json"], { encoding: "utf8", timeout: 30000 });
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /--patches/);
+});
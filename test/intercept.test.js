@@ -0,0 +1,37 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PatchHarness } = require("../tools/harness.js");
+
+// "b" is a non-configurable getter like webpack's ES module exports, so intercepting it replaces the exports object
+const MODULES = {
+    1: "function(e){var t={};e.exports=t;t.a=function(){return\"a\"};Object.defineProperty(t,\"b\",{enumerable:true,get:function(){return function(){return\"b\"}}})}"
+};
+
+test("hooks run in order of priority", () => {
+    const harness = new PatchHarness();
+    const { intercept, filters } = harness.WebpackPatcher;
+    const calls = [];
+    intercept(filters.byProps("a"), "a", { before: () => { calls.push("a1"); } }, { priority: -5 });
+    intercept(filters.byProps("a"), "a", { before: () => { calls.push("a2"); } }, { priority: 5 });
+
+    const exports = harness.create_runtime(MODULES)(1);
+    assert.equal(exports.a(), "a");
+    assert.deepEqual(calls, ["a2", "a1"]);
+});
+
+test("priority still applies after the exports were replaced by a configurable copy", () => {
+    const harness = new PatchHarness();
+    const { intercept, filters } = harness.WebpackPatcher;
+    const calls = [];
+    intercept(filters.byProps("a"), "a", { before: () => { calls.push("a"); } });
+    intercept(filters.byProps("a"), "b", { before: () => { calls.push("b1"); } }, { name: "r1", priority: 5 });
+    intercept(filters.byProps("a"), "b", { before: () => { calls.push("b2"); } }, { name: "r2", priority: -5 });
+
+    const exports = harness.create_runtime(MODULES)(1);
+    assert.equal(exports.a(), "a");
+    assert.equal(exports.b(), "b");
+    assert.deepEqual(calls, ["a", "b1", "b2"]);
+});
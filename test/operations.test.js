@@ -0,0 +1,103 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PatchHarness } = require("../tools/harness.js");
+
+/**
+ * Patch a single module with the given replacements and require it
+ * @param {Array<Object>} replacements - Replacements of the patch
+ * @param {string} source - Module source
+ * @returns {{harness: PatchHarness, exports: any}} Harness and the module's exports
+ */
+function patch_module(replacements, source) {
+    const harness = new PatchHarness();
+    harness.register({ name: "operations" }, [{ find: "target", replacements }]);
+    const webpack_require = harness.create_runtime({ 1: source });
+    return { harness, exports: webpack_require(1) };
+}
+
+test("the tokenizer keeps braces in strings, templates, regexes and comments out of the code", () => {
+    const { CodeTokenizer } = new PatchHarness({ expose_internals: true }).internals;
+    const code = "a={s:\"}\",t:`}${{x:1}.x}`,r:/}[/]/g,d:x/2/*}*/}";
+    const tokens = CodeTokenizer.tokenize(code);
+    const types = tokens.filter(token => token.type !== "punctuator" && token.type !== "word").map(token => [token.type, code.slice(token.start, token.end)]);
+
+    assert.deepEqual(Array.from(types, type => [...type]), [["string", "\"}\""], ["template", "`}${{x:1}.x}`"], ["regex", "/}[/]/g"]]); // arrays of the page context
+
+    const open = tokens.findIndex(token => token.value === "{");
+    assert.equal(tokens[CodeTokenizer.find_closing(tokens, open)].end, code.length);
+});
+
+test("keywords used as property names don't start regex literals", () => {
+    const { CodeTokenizer } = new PatchHarness({ expose_internals: true }).internals;
+    const code = "a={x:t.return/2,y:'/',z:t?.in/2,w:return/}/}";
+    const tokens = CodeTokenizer.tokenize(code);
+
+    assert.deepEqual(Array.from(tokens.filter(token => token.type === "regex"), token => code.slice(token.start, token.end)), ["/}/"]);
+    assert.equal(tokens[CodeTokenizer.find_closing(tokens, 2)].end, code.length);
+});
+
+test("code is inserted before and after anchors", () => {
+    const { exports } = patch_module([
+        { insert_before: "e.exports=", code: "var x=2;" },
+        { insert_after: /\i\.exports=\{/, code: "x:x," }
+    ], "function(e){e.exports={s:\"target\"}}");
+
+    assert.equal(exports.x, 2);
+});
+
+test("wrap_body wraps the body of the matched function", () => {
+    const { exports } = patch_module([
+        { wrap_body: "run(", before: "try{", after: "}catch(e){return \"caught\"}" }
+    ], "function(e){e.exports={s:\"target\",run(a={b:\"{\"},[c]=[1]){if(a)throw new Error(\"}\");return c}}}");
+
+    assert.equal(exports.run(), "caught");
+});
+
+test("wrap_body skips the key of an object property holding the function", () => {
+    const { exports } = patch_module([
+        { wrap_body: "render", after: "return \"render\"" },
+        { wrap_body: "run", after: "return \"run\"" },
+        { wrap_body: "\"legacy\"", after: "return \"legacy\"" },
+        { wrap_body: "other", after: "return \"other\"", min: 0 }
+    ], "function(e){e.exports={s:\"target\",other:e,render:function(e){},run:async(a)=>{},key:\"legacy\",value:function(){}}}");
+
+    assert.equal(exports.render(), "render");
+    assert.equal(exports.value(), "legacy");
+    assert.equal(exports.other.exports, exports); // a property which holds no function is left alone
+    return exports.run().then(result => assert.equal(result, "run"));
+});
+
+test("replace_block replaces a balanced block", () => {
+    const { exports } = patch_module([
+        { replace_block: "get()", replace: block => `{return ${JSON.stringify(block.length)}}` }
+    ], "function(e){e.exports={s:\"target\",get(){return `${{a:1}.a}}`+/}/.source},other(){return 1}}}");
+
+    assert.equal(exports.get(), 33);
+    assert.equal(exports.other(), 1);
+});
+
+test("operations count hits like matches and fail without a body", () => {
+    const { harness, exports } = patch_module([
+        { wrap_body: "fn(", before: "arguments[0]++;", global: true, count: 2 },
+        { wrap_body: "value", before: "x" }
+    ], "function(e){e.exports={s:\"target\",value:1,fn(a){return a},fn2:function fn(a){return a}}}");
+
+    assert.equal(exports.fn(1), 2);
+    assert.equal(exports.fn2(1), 2);
+    const [wrapped, missing] = harness.WebpackPatcher.getPatchReport("operations").patches[0].replacements;
+    assert.equal(wrapped.total_hits, 2);
+    assert.equal(wrapped.match, "wrap_body(fn()");
+    assert.equal(missing.total_hits, 0);
+});
+
+test("search previews structured operations", () => {
+    const harness = new PatchHarness();
+    harness.create_runtime({ 1: "function(e){e.exports={s:\"target\",f(){return 1}}}" });
+    const [preview] = harness.WebpackPatcher.search("target", { test: { replacements: [{ replace_block: "f()", replace: "{return 2}" }] } }).test;
+
+    assert.equal(preview.error, null);
+    assert.match(preview.patched_code, /f\(\)\{return 2\}/);
+});
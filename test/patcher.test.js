@@ -0,0 +1,171 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PatchHarness } = require("../tools/harness.js");
+
+test("modules are patched lazily, when they are first required", () => {
+    const harness = new PatchHarness();
+    const WebpackPatcher = harness.WebpackPatcher;
+    const patched = [];
+    WebpackPatcher.addEventListener("module_patched", module_id => patched.push(module_id));
+    WebpackPatcher.register({ name: "lazy" }, [{ find: "target", replacements: [{ match: "1", replace: "2" }] }]);
+    const webpack_require = harness.create_runtime({
+        1: "function(e){e.exports={v:1,s:\"target\"}}",
+        2: "function(e){e.exports={v:1,s:\"target\"}}"
+    });
+
+    assert.equal(harness.get_patched_source("1"), null);
+    assert.equal(WebpackPatcher.getPatchReport("lazy").patches[0].matched_modules.length, 0);
+
+    assert.equal(webpack_require(1).v, 2);
+    assert.deepEqual(patched, ["1"]);
+    assert.ok(WebpackPatcher.patchedModules.has("1"));
+    assert.ok(!WebpackPatcher.patchedModules.has("2"));
+    assert.deepEqual([...WebpackPatcher.getPatchReport("lazy").patches[0].patched_modules], ["1"]); // arrays of the page context
+
+    webpack_require(1); // cached, not patched again
+    assert.deepEqual(patched, ["1"]);
+});
+
+test("patches only apply to modules their find matches", () => {
+    const harness = new PatchHarness();
+    harness.WebpackPatcher.register({ name: "find" }, [{ find: ["nothere", "other"], replacements: [{ match: "1", replace: "2" }] }]);
+    const webpack_require = harness.create_runtime({
+        1: "function(e){e.exports={v:1}}",
+        2: "function(e){e.exports={v:1,s:\"other\"}}"
+    });
+
+    assert.equal(webpack_require(1).v, 1);
+    assert.equal(webpack_require(2).v, 2);
+});
+
+test("placeholders resolve to the registrar's data and functions", () => {
+    const harness = new PatchHarness();
+    const WebpackPatcher = harness.WebpackPatcher;
+    const { placeholders } = WebpackPatcher;
+    const registrar = WebpackPatcher.register({
+        name: "placeholders",
+        data: { value: 5 },
+        functions: { double: v => v * 2 }
+    }, [{
+        find: "target",
+        replacements: [{ match: "v:1", replace: `v:${placeholders.functions}.double(${placeholders.data}.value),self:${placeholders.self}` }]
+    }]);
+    const webpack_require = harness.create_runtime({ 1: "function(e){e.exports={v:1,s:\"target\"}}" });
+
+    const exports = webpack_require(1);
+    assert.equal(exports.v, 10);
+    assert.equal(exports.self, registrar);
+    assert.ok(!harness.get_patched_source("1").includes(placeholders.data));
+    assert.match(harness.get_patched_source("1"), /__webpack_patcher_registrar\("placeholders"\)\.data\.value/);
+});
+
+test("registrars are private unless expose_registrars is enabled", () => {
+    const register = (harness) => harness.WebpackPatcher.register({ name: "private" }, [{
+        find: "target",
+        replacements: [{ match: "v:1", replace: `v:1,self:${harness.WebpackPatcher.placeholders.self}` }]
+    }]);
+
+    const harness = new PatchHarness();
+    const registrar = register(harness);
+    const exports = harness.create_runtime({ 1: "function(e){e.exports={v:1,s:\"target\"}}" })(1);
+    assert.equal(exports.self, registrar);
+    assert.equal(harness.WebpackPatcher.Registrars.private, undefined);
+    assert.ok(!harness.run_script("Object.getOwnPropertyNames(window)").some(key => key.startsWith("__webpack_patcher_")));
+    assert.equal(harness.run_script("Object.getOwnPropertySymbols(window).length"), 0);
+    assert.equal(harness.run_script("typeof __webpack_patcher_registrar"), "undefined");
+    assert.ok(harness.get_patched_source("1").includes("__webpack_patcher_registrar(\"private\")"));
+
+    const exposed = new PatchHarness({ patcher_options: { expose_registrars: true } });
+    assert.equal(exposed.WebpackPatcher.Registrars.private, undefined);
+    assert.equal(register(exposed), exposed.WebpackPatcher.Registrars.private);
+});
+
+test("taken registrar names can only be reused with the registrar's token", () => {
+    const harness = new PatchHarness();
+    const { register } = harness.WebpackPatcher;
+    const owner = register({ name: "victim", data: { secret: 42 } }, [{ find: "target", replacements: [{ match: "v:1", replace: "v:2" }] }]);
+
+    assert.throws(() => register({ name: "victim" }, []), /is taken/);
+    assert.throws(() => register({ name: "victim", replace: true, data: {} }, []), /is taken/);
+    assert.equal(owner.data.secret, 42);
+    assert.ok(!Object.keys(owner).includes("token"));
+
+    assert.equal(register({ name: "victim", token: owner.token }, []), owner);
+    assert.equal(harness.create_runtime({ 1: "function(e){e.exports={v:1,s:\"target\"}}" })(1).v, 2);
+});
+
+test("registrar names are escaped in patched code", () => {
+    const harness = new PatchHarness();
+    const name = "a \"quoted\" \\ name $& $1";
+    const registrar = harness.WebpackPatcher.register({ name, data: { value: 3 } }, [{
+        find: "target",
+        replacements: [{ match: "v:1", replace: `v:${harness.WebpackPatcher.placeholders.data}.value` }]
+    }]);
+    const webpack_require = harness.create_runtime({ 1: "function(e){e.exports={v:1,s:\"target\"}}" });
+
+    assert.equal(webpack_require(1).v, 3);
+    assert.equal(registrar.data.value, 3);
+});
+
+test("replacements which don't match are skipped and reported", () => {
+    const harness = new PatchHarness();
+    harness.WebpackPatcher.register({ name: "report" }, [{
+        find: "target",
+        replacements: [
+            { match: "v:1", replace: "v:2" },
+            { match: "missing", replace: "x" }
+        ]
+    }]);
+    const webpack_require = harness.create_runtime({ 1: "function(e){e.exports={v:1,s:\"target\"}}" });
+
+    assert.equal(webpack_require(1).v, 2);
+    const [first, second] = harness.WebpackPatcher.getPatchReport("report").patches[0].replacements;
+    assert.equal(first.total_hits, 1);
+    assert.equal(second.total_hits, 0);
+});
+
+test("replacements with min: 0 are optional, also in atomic patches", () => {
+    const harness = new PatchHarness();
+    harness.WebpackPatcher.register({ name: "optional" }, [{
+        find: "target",
+        atomic: true,
+        replacements: [
+            { match: "v:1", replace: "v:2" },
+            { match: "missing", replace: "x", min: 0 }
+        ]
+    }]);
+    const webpack_require = harness.create_runtime({ 1: "function(e){e.exports={v:1,s:\"target\"}}" });
+
+    assert.equal(webpack_require(1).v, 2);
+    const patch = harness.WebpackPatcher.getPatchReport("optional").patches[0];
+    assert.equal(patch.failures.length, 0);
+    assert.equal(patch.replacements[1].skipped_modules.length, 0);
+});
+
+test("count is checked against all matches, also without global", () => {
+    const harness = new PatchHarness();
+    harness.WebpackPatcher.register({ name: "count" }, [
+        { find: "target", replacements: [{ match: "v:1", replace: "v:2", count: 1 }] },
+        { find: "target", replacements: [{ match: "v:1", replace: "v:3", count: 2 }] }
+    ]);
+    const webpack_require = harness.create_runtime({ 1: "function(e){e.exports={v:1,w:{v:1},s:\"target\"}}" });
+
+    const exports = webpack_require(1);
+    assert.equal(exports.v, 3);
+    assert.equal(exports.w.v, 1); // count: 2 without global still replaces the first match only
+    const [once, twice] = harness.WebpackPatcher.getPatchReport("count").patches;
+    assert.deepEqual([...once.replacements[0].skipped_modules], ["1"]);
+    assert.equal(twice.replacements[0].total_hits, 1);
+});
+
+test("patched code which doesn't evaluate keeps the original module", () => {
+    const harness = new PatchHarness();
+    harness.WebpackPatcher.register({ name: "broken" }, [{ find: "target", replacements: [{ match: "v:1", replace: "v:" }] }]);
+    const webpack_require = harness.create_runtime({ 1: "function(e){e.exports={v:1,s:\"target\"}}" });
+
+    assert.equal(webpack_require(1).v, 1);
+    assert.equal(harness.WebpackPatcher.getPatchReport("broken").patches[0].failures.length, 1);
+});
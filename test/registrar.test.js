@@ -0,0 +1,109 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PatchHarness } = require("../tools/harness.js");
+
+/**
+ * Create a registrar without a patcher, like the global interface has before the patcher is initialized
+ * @returns {{harness: PatchHarness, registrar: Object, create_patcher: Function}} Harness, registrar and a factory for an unhooked patcher
+ */
+function create_unbound_registrar() {
+    const harness = new PatchHarness({ expose_internals: true });
+    const { Logger, WebpackPatcher, WebpackPatchRegistrar } = harness.internals;
+    return {
+        harness,
+        registrar: new WebpackPatchRegistrar(null),
+        create_patcher: () => new WebpackPatcher(new Logger("[test]", "error"), {})
+    };
+}
+
+test("patches registered before the patcher exists are buffered and flushed", () => {
+    const { registrar, create_patcher } = create_unbound_registrar();
+    const patches = [{ find: "target", replacements: [{ match: "1", replace: "2" }] }];
+    const registrar_obj = registrar.register_patches({ name: "buffered", data: { a: 1 } }, patches);
+
+    assert.equal(registrar.patch_buffer.length, 1);
+    assert.deepEqual({ ...registrar_obj.data }, { a: 1 });
+
+    const patcher = create_patcher();
+    registrar.set_patcher(patcher);
+
+    assert.equal(registrar.patch_buffer.length, 0);
+    assert.equal(patcher.patches.length, 1);
+    assert.equal(patcher.patches[0]._registrar_name, "buffered");
+    // the object returned while buffering stays the registrar object
+    assert.equal(patcher.registrars.buffered, registrar_obj);
+});
+
+test("buffered registrations of a taken name need the registrar's token", () => {
+    const { registrar, create_patcher } = create_unbound_registrar();
+    const patches = [{ find: "target", replacements: [{ match: "1", replace: "2" }] }];
+    const owner = registrar.register_patches({ name: "owned", data: { secret: 42 } }, patches);
+
+    assert.throws(() => registrar.register_patches({ name: "owned" }, []), /is taken/);
+    assert.equal(registrar.register_patches({ name: "owned", token: owner.token }, patches), owner);
+
+    const patcher = create_patcher();
+    registrar.set_patcher(patcher);
+
+    assert.equal(patcher.registrars.owned, owner);
+    assert.equal(patcher.patches.length, 2);
+    assert.throws(() => registrar.register_patches({ name: "owned", replace: true }, []), /is taken/);
+});
+
+test("enabling and disabling before the patcher exists is buffered", () => {
+    const { registrar, create_patcher } = create_unbound_registrar();
+    const patches = [
+        { find: "target", replacements: [{ match: "1", replace: "2" }] },
+        { find: "target", replacements: [{ match: "3", replace: "4" }] }
+    ];
+    registrar.register_patches({ name: "toggled" }, patches);
+    registrar.register_patches({ name: "other" }, patches);
+
+    assert.equal(registrar.set_enabled("toggled", false).still_patched_modules.length, 0);
+    assert.ok(registrar.set_enabled("other", false, 1));
+    assert.equal(registrar.set_enabled("other", false, 2), null);
+    assert.equal(registrar.set_enabled("unknown", false), null);
+
+    const patcher = create_patcher();
+    registrar.set_patcher(patcher);
+
+    assert.equal(registrar.set_enabled_buffer.length, 0);
+    assert.ok(patcher.disabled_registrars.has("toggled"));
+    assert.deepEqual(Array.from(patcher.patches.filter(patch => patch._registrar_name === "other"), patch => patch._enabled), [true, false]);
+});
+
+test("event listeners registered before the patcher exists are buffered and flushed", () => {
+    const { registrar, create_patcher } = create_unbound_registrar();
+    const events = [];
+    const listener = (...args) => events.push(args);
+    registrar.add_event_listener("module_patched", listener);
+
+    assert.equal(registrar.event_listener_buffer.length, 1);
+
+    const patcher = create_patcher();
+    registrar.set_patcher(patcher);
+    patcher._emit_event("module_patched", "1");
+
+    assert.equal(registrar.event_listener_buffer.length, 0);
+    assert.deepEqual(events, [["1"]]);
+});
+
+test("a second patcher is ignored", () => {
+    const { registrar, create_patcher } = create_unbound_registrar();
+    const first = create_patcher();
+    registrar.set_patcher(first);
+    registrar.set_patcher(create_patcher());
+
+    assert.equal(registrar.patcher, first);
+});
+
+test("calls without a patcher have safe defaults", () => {
+    const { registrar } = create_unbound_registrar();
+
+    assert.equal(registrar.webpack_require, null);
+    assert.equal(registrar.get_conflicts().length, 0);
+    assert.equal(registrar.get_patch_report(), null);
+});
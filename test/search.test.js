@@ -0,0 +1,70 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PatchHarness } = require("../tools/harness.js");
+
+const MODULES = {
+    1: "function(e,t,n){e.exports={start:function(a){return n.startTyping(a)}}}",
+    2: "function(e,t,n){e.exports={stop:function(b){return n.startTyping(b)&&n.startTyping(b)}}}",
+    3: "function(e){e.exports={v:1}}"
+};
+
+test("search returns offsets and context of every match without loading modules", () => {
+    const harness = new PatchHarness();
+    harness.create_runtime(MODULES);
+    const result = harness.WebpackPatcher.search("startTyping", { context: 3 });
+
+    assert.equal(result.modules_searched, 3);
+    assert.equal(result.truncated, false);
+    assert.equal(result.test, null);
+    assert.deepEqual([...result.matches.map(match => match.module_id)], ["1", "2", "2"]);
+    const [first] = result.matches;
+    assert.equal(MODULES[1].slice(first.offset, first.offset + first.match.length), "startTyping");
+    assert.equal(first.before, " n.");
+    assert.equal(first.after, "(a)");
+    assert.equal(Object.keys(harness.WebpackPatcher.moduleCache.getAll() ?? {}).length, 0);
+});
+
+test("search supports regexes with the \\i shorthand and a limit", () => {
+    const harness = new PatchHarness();
+    harness.create_runtime(MODULES);
+    const pattern = harness.run_script(String.raw`/startTyping\(\i\)/`);
+    const result = harness.WebpackPatcher.search(pattern, { limit: 2 });
+
+    assert.deepEqual([...result.matches.map(match => match.match)], ["startTyping(a)", "startTyping(b)"]);
+    assert.equal(result.truncated, true);
+});
+
+test("candidate patches are previewed without being applied", () => {
+    const harness = new PatchHarness();
+    const webpack_require = harness.create_runtime(MODULES);
+    const match = harness.run_script(String.raw`/startTyping\((\i)\)/g`);
+    const { test: previews } = harness.WebpackPatcher.search("startTyping", {
+        test: { replacements: [{ match, replace: (_, $1) => `startTyping(${$1},true)` }] }
+    });
+
+    assert.equal(previews.length, 2);
+    assert.deepEqual([...previews[1].replacement_hits], [2]);
+    assert.equal(previews[1].error, null);
+    assert.match(previews[1].patched_code, /startTyping\(b,true\)&&n\.startTyping\(b,true\)/);
+    assert.equal(harness.get_patched_source("2"), null);
+    assert.equal(harness.WebpackPatcher.patchedModules.size, 0);
+    assert.equal(webpack_require(1).start.toString().includes("true"), false);
+});
+
+test("previews report count mismatches and syntax errors", () => {
+    const harness = new PatchHarness();
+    harness.create_runtime(MODULES);
+    const atomic = harness.WebpackPatcher.search("startTyping", {
+        test: { atomic: true, replacements: [{ match: "startTyping(a)", replace: "x" }] }
+    }).test;
+    const broken = harness.WebpackPatcher.search("v:1", {
+        test: { replacements: [{ match: "v:1", replace: "v:" }] }
+    }).test;
+
+    assert.equal(atomic[0].error, null);
+    assert.match(atomic[1].error, /Atomic patch would be discarded/);
+    assert.match(broken[0].error, /^Syntax error/);
+});
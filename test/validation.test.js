@@ -0,0 +1,63 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PatchHarness } = require("../tools/harness.js");
+
+const MODULES = {
+    1: "function(e){e.exports={v:1,s:\"target\"}}",
+    2: "function(e){e.exports={w:1,s:\"other\"}}"
+};
+
+test("validation reports every registrar without patching anything", () => {
+    const harness = new PatchHarness();
+    const WebpackPatcher = harness.WebpackPatcher;
+    WebpackPatcher.register({ name: "working" }, [{ find: "target", replacements: [{ match: "v:1", replace: "v:2" }] }]);
+    WebpackPatcher.register({ name: "broken" }, [
+        { find: "other", replacements: [{ match: "w:1", replace: "w:" }] },
+        { find: "target", replacements: [{ match: "v:1", replace: "v:3" }, { match: "missing", replace: "" }] },
+        { find: "nowhere", replacements: [{ match: "1", replace: "2" }] }
+    ]);
+    const webpack_require = harness.create_runtime(MODULES);
+    const report = WebpackPatcher.validatePatches();
+
+    assert.equal(report.working.ok, true);
+    assert.deepEqual([...report.working.patches[0].matched_modules], ["1"]);
+    assert.equal(report.broken.ok, false);
+    assert.deepEqual([...report.broken.failed], [0, 1, 2]);
+    assert.match(report.broken.patches[0].errors[0].error, /^Syntax error/);
+    assert.deepEqual([...report.broken.patches[1].unmatched_replacements], [1]);
+    assert.equal(report.broken.patches[2].matched_modules.length, 0);
+
+    assert.equal(WebpackPatcher.patchedModules.size, 0);
+    assert.equal(WebpackPatcher.getPatchReport("working").patches[0].matched_modules.length, 0);
+    assert.equal(webpack_require(2).w, 1);
+});
+
+test("disabled patches don't fail the validation", () => {
+    const harness = new PatchHarness();
+    harness.WebpackPatcher.register({ name: "disabled" }, [{ find: "nowhere", enabled: false, replacements: [{ match: "1", replace: "2" }] }]);
+    harness.create_runtime(MODULES);
+
+    assert.equal(harness.WebpackPatcher.validatePatches().disabled.ok, true);
+});
+
+test("eager validation runs on detection, new chunks and late patches", async () => {
+    const harness = new PatchHarness({ patcher_options: { eager_validation: true } });
+    const WebpackPatcher = harness.WebpackPatcher;
+    WebpackPatcher.register({ name: "eager" }, [{ find: "late", replacements: [{ match: "x:1", replace: "x:" }] }]);
+    harness.create_runtime(MODULES);
+
+    assert.equal(WebpackPatcher.getValidationReport("eager").patches[0].matched_modules.length, 0);
+
+    harness.push_chunk([5], { 50: "function(e){e.exports={x:1,s:\"late\"}}" });
+    await harness.settle(); // the chunk array is hooked with a delay
+    const entry = WebpackPatcher.getValidationReport("eager");
+    assert.deepEqual([...entry.patches[0].matched_modules], ["50"]);
+    assert.equal(entry.patches[0].errors.length, 1);
+    assert.ok(harness.logs.some(log => log.args.join(" ").includes("Validation: patch 0 of eager fails for module 50")));
+
+    WebpackPatcher.register({ name: "late" }, [{ find: "target", replacements: [{ match: "v:1", replace: "v:2" }] }]);
+    assert.equal(WebpackPatcher.getValidationReport("late").ok, true);
+});
@@ -0,0 +1,373 @@
+/**
+ * Compare two module snapshots (see WebpackPatcher.dumpModules) against patch definitions.
+ *
+ * Reports which patches still match the new build, which broke, and for broken patches the modules of the new build
+ * which look most similar to the modules the patch matched before.
+ *
+ * Usage:
+ *     node tools/diff_snapshots.js <old.json> <new.json> [--patches <script.user.js>]... [--instance <key>] [--candidates <n>] [--json]
+ *
+ * Without --patches, the patches stored in the old snapshot are used.
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { PatchHarness } = require("./harness.js");
+
+const MIN_SIMILARITY = 0.2; // candidates below this are not worth looking at
+const DEFAULT_CANDIDATE_COUNT = 5;
+
+/**
+ * Read a snapshot file
+ * @param {string} file_path - Path of the JSON snapshot
+ * @returns {Object} Snapshot
+ */
+function load_snapshot(file_path) {
+    const snapshot = JSON.parse(fs.readFileSync(file_path, "utf8"));
+    if (snapshot.format !== 1 || !Array.isArray(snapshot.instances)) {
+        throw new Error(`${file_path} is not a module snapshot`);
+    }
+    return snapshot;
+}
+
+/**
+ * Turn a serialized pattern back into a string or RegExp
+ * @param {string|Object|Array} pattern - Serialized pattern(s), RegExps as {source, flags}
+ * @returns {string|RegExp|Array<string|RegExp>} Pattern(s)
+ */
+function deserialize_pattern(pattern) {
+    if (Array.isArray(pattern)) {
+        return pattern.map(deserialize_pattern);
+    }
+    return pattern !== null && typeof pattern === "object" ? new RegExp(pattern.source, pattern.flags) : pattern;
+}
+
+/**
+ * Get the patch definitions stored in a snapshot
+ * @param {Object} snapshot - Snapshot
+ * @returns {Array<Object>} Patches: {registrar_name, index, enabled, find, replacements: Array<{match, global, count, min, max, operation}>}.
+ *     Structured operations (operation is not null) are represented by their anchor
+ */
+function patches_from_snapshot(snapshot) {
+    return (snapshot.patches || []).map(patch => ({
+        ...patch,
+        find: deserialize_pattern(patch.find),
+        replacements: patch.replacements.map(replacement => ({ ...replacement, match: deserialize_pattern(replacement.match) }))
+    }));
+}
+
+/**
+ * Run patch scripts in a harness and collect the patches they register, with compiled finds and matches
+ * @param {Array<string>} patch_files - Paths of the scripts
+ * @returns {Array<Object>} Patches, see patches_from_snapshot
+ */
+function patches_from_files(patch_files) {
+    const harness = new PatchHarness();
+    for (const patch_file of patch_files) {
+        harness.run_script_file(patch_file);
+    }
+    return harness.WebpackPatcher.patches.map(patch => ({
+        registrar_name: patch._registrar_name,
+        index: patch._index,
+        enabled: patch._enabled,
+        find: patch._find,
+        replacements: (Array.isArray(patch._replacements) ? patch._replacements : []).map(replacement => ({
+            match: replacement.match?.anchor ?? replacement.match, // structured operations are located by their anchor, like in snapshots
+            operation: replacement.match?.type ?? null,
+            global: replacement.global ?? false,
+            count: replacement.count ?? null,
+            min: replacement.min ?? null,
+            max: replacement.max ?? null
+        }))
+    }));
+}
+
+/**
+ * Pick the instance to compare from a snapshot
+ * @param {Object} snapshot - Snapshot
+ * @param {string|null} key - Instance key (file name without hashes) or name, null for the first instance
+ * @returns {Object} Snapshot instance
+ */
+function select_instance(snapshot, key) {
+    const instance = key == null
+        ? snapshot.instances[0]
+        : snapshot.instances.find(candidate => candidate.key === key || candidate.name === key);
+    if (!instance) {
+        throw new Error(`Instance ${key ?? "(first)"} not found, available: ${snapshot.instances.map(candidate => candidate.key).join(", ")}`);
+    }
+    return instance;
+}
+
+/**
+ * Check if a find matches code, an array matches if any of its patterns does
+ * @param {string} code - Module source
+ * @param {string|RegExp|Array<string|RegExp>} find - Find pattern(s)
+ * @returns {boolean} True if the find matches
+ */
+function find_matches(code, find) {
+    return (Array.isArray(find) ? find : [find]).some(pattern => typeof pattern === "string"
+        ? code.includes(pattern)
+        : pattern !== null && typeof pattern === "object" && code.search(pattern) !== -1); // RegExps may come from the harness' context
+}
+
+/**
+ * Count the occurrences of a replacement's match, like the patcher does before replacing
+ * @param {string} code - Module source
+ * @param {Object} replacement - Replacement: {match}
+ * @returns {number} Number of occurrences
+ */
+function count_matches(code, replacement) {
+    const { match } = replacement;
+    if (typeof match === "string") {
+        return match === "" ? 0 : code.split(match).length - 1;
+    }
+    return [...code.matchAll(new RegExp(match.source, match.flags.includes("g") ? match.flags : match.flags + "g"))].length;
+}
+
+/**
+ * Check a replacement's number of matches against its expected count, like the patcher does
+ * @param {Object} replacement - Replacement with optional count, min and max
+ * @param {number} matches - Number of occurrences of the match, see count_matches
+ * @returns {boolean} True if the replacement would be applied
+ */
+function matches_acceptable(replacement, matches) {
+    if (replacement.count != null) return matches === replacement.count;
+    if (replacement.min != null && matches < replacement.min) return false;
+    if (replacement.max != null && matches > replacement.max) return false;
+    return matches > 0 || replacement.min != null;
+}
+
+/**
+ * Test a patch against all modules of a build. Every module is tested with its original source, patches applied before would change that in the browser.
+ * @param {Object} patch - Patch, see patches_from_snapshot
+ * @param {Object<string, string>} modules - Module ID -> source
+ * @returns {{matched: Array<string>, working: Array<string>, replacement_hits: Array<Object<string, number>>}} Matched modules, modules where every replacement applies, hits per replacement and module
+ */
+function evaluate_patch(patch, modules) {
+    const matched = Object.keys(modules).filter(module_id => find_matches(modules[module_id], patch.find));
+    const replacement_hits = patch.replacements.map(() => ({}));
+    const working = matched.filter(module_id => {
+        let all_applied = true;
+        patch.replacements.forEach((replacement, i) => {
+            const matches = count_matches(modules[module_id], replacement);
+            replacement_hits[i][module_id] = replacement.global || replacement.match.global ? matches : Math.min(matches, 1);
+            all_applied = all_applied && matches_acceptable(replacement, matches);
+        });
+        return all_applied;
+    });
+    return { matched, working, replacement_hits };
+}
+
+/**
+ * Split module source into the tokens which survive minification: string contents and longer identifiers
+ * @param {string} code - Module source
+ * @returns {Set<string>} Tokens
+ */
+function tokenize(code) {
+    return new Set(code.match(/"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`|[A-Za-z_$][\w$]{2,}/g) || []);
+}
+
+/**
+ * Jaccard similarity of two token sets
+ * @param {Set<string>} a - Tokens
+ * @param {Set<string>} b - Tokens
+ * @returns {number} Similarity between 0 and 1
+ */
+function similarity(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    let shared = 0;
+    for (const token of a) {
+        if (b.has(token)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Find the modules of the new build which look most similar to modules of the old build
+ * @param {Array<string>} old_sources - Sources of the modules the patch matched before
+ * @param {Object<string, string>} new_modules - Module ID -> source of the new build
+ * @param {Map<string, Set<string>>} token_cache - Module ID -> tokens of the new build, filled lazily
+ * @param {number} limit - Maximum number of candidates
+ * @returns {Array<{module_id: string, similarity: number}>} Candidates, most similar first
+ */
+function find_candidates(old_sources, new_modules, token_cache, limit) {
+    const best = new Map(); // module ID -> similarity
+    for (const old_source of old_sources) {
+        const old_tokens = tokenize(old_source);
+        for (const [module_id, source] of Object.entries(new_modules)) {
+            if (!token_cache.has(module_id)) token_cache.set(module_id, tokenize(source));
+            const score = similarity(old_tokens, token_cache.get(module_id));
+            if (score >= MIN_SIMILARITY && score > (best.get(module_id) ?? 0)) {
+                best.set(module_id, score);
+            }
+        }
+    }
+    return [...best]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([module_id, score]) => ({ module_id, similarity: Math.round(score * 1000) / 1000 }));
+}
+
+/**
+ * Compare two snapshots against patches
+ * @param {Object} old_snapshot - Snapshot of the build the patches were written for
+ * @param {Object} new_snapshot - Snapshot of the new build
+ * @param {Array<Object>} patches - Patches, see patches_from_snapshot
+ * @param {Object} [options] - Options
+ * @param {string} [options.instance] - Instance key or name to compare (default: first instance of each snapshot)
+ * @param {number} [options.candidates=5] - Maximum number of candidate modules per broken patch
+ * @returns {Object} Result: {old, new, modules: {added, removed, changed, unchanged}, summary, patches: Array<{registrar_name, index, status, old_matches, new_matches, working, replacement_hits, candidates}>}
+ *     status: "ok" (applies to the new build), "broken" (find doesn't match anymore), "replacements_broken" (find matches, but a replacement doesn't apply), "unmatched" (didn't match the old build either)
+ */
+function diff_snapshots(old_snapshot, new_snapshot, patches, options = {}) {
+    const old_instance = select_instance(old_snapshot, options.instance ?? null);
+    const new_instance = select_instance(new_snapshot, options.instance ?? old_instance.key);
+    const candidate_count = options.candidates ?? DEFAULT_CANDIDATE_COUNT;
+    const token_cache = new Map();
+
+    const old_ids = Object.keys(old_instance.modules);
+    const new_ids = Object.keys(new_instance.modules);
+    const modules = {
+        added: new_ids.filter(module_id => !(module_id in old_instance.modules)).length,
+        removed: old_ids.filter(module_id => !(module_id in new_instance.modules)).length,
+        changed: old_ids.filter(module_id => module_id in new_instance.modules && old_instance.modules[module_id] !== new_instance.modules[module_id]).length,
+        unchanged: old_ids.filter(module_id => old_instance.modules[module_id] === new_instance.modules[module_id]).length
+    };
+
+    const results = patches.map(patch => {
+        const before = evaluate_patch(patch, old_instance.modules);
+        const after = evaluate_patch(patch, new_instance.modules);
+
+        let status;
+        if (before.matched.length === 0 && after.matched.length === 0) {
+            status = "unmatched";
+        } else if (after.matched.length === 0) {
+            status = "broken";
+        } else if (after.working.length === 0) {
+            status = "replacements_broken";
+        } else {
+            status = "ok";
+        }
+
+        const broken = status === "broken" || status === "replacements_broken";
+        return {
+            registrar_name: patch.registrar_name,
+            index: patch.index,
+            enabled: patch.enabled,
+            status,
+            old_matches: before.matched,
+            new_matches: after.matched,
+            working: after.working,
+            replacement_hits: after.replacement_hits,
+            candidates: broken && before.matched.length > 0
+                ? find_candidates(before.matched.map(module_id => old_instance.modules[module_id]), new_instance.modules, token_cache, candidate_count)
+                : []
+        };
+    });
+
+    const summary = { ok: 0, broken: 0, replacements_broken: 0, unmatched: 0 };
+    for (const result of results) {
+        summary[result.status]++;
+    }
+
+    const describe = (snapshot, instance) => ({ created_at: snapshot.created_at, url: snapshot.url, instance: instance.name, script: instance.script, module_count: instance.module_count });
+    return {
+        old: describe(old_snapshot, old_instance),
+        new: describe(new_snapshot, new_instance),
+        modules,
+        summary,
+        patches: results
+    };
+}
+
+/**
+ * Turn a comparison into readable lines
+ * @param {Object} result - Result of diff_snapshots
+ * @returns {Array<string>} Lines
+ */
+function format_result(result) {
+    const lines = [
+        `old: ${result.old.instance} (${result.old.module_count} modules, ${result.old.created_at})`,
+        `new: ${result.new.instance} (${result.new.module_count} modules, ${result.new.created_at})`,
+        `modules: ${result.modules.added} added, ${result.modules.removed} removed, ${result.modules.changed} changed, ${result.modules.unchanged} unchanged`,
+        ""
+    ];
+    for (const patch of result.patches) {
+        lines.push(`${patch.registrar_name} patch ${patch.index}: ${patch.status} (matched ${patch.old_matches.length} -> ${patch.new_matches.length}${patch.new_matches.length > 0 ? `, applies to ${patch.working.length}` : ""})`);
+        patch.replacement_hits.forEach((hits, i) => {
+            const missing = patch.new_matches.filter(module_id => !hits[module_id]);
+            if (missing.length > 0) {
+                lines.push(`  replacement ${i} doesn't match in ${missing.join(", ")}`);
+            }
+        });
+        for (const candidate of patch.candidates) {
+            lines.push(`  candidate: module ${candidate.module_id} (similarity ${candidate.similarity})`);
+        }
+    }
+    lines.push("", `${result.summary.ok} ok, ${result.summary.broken} broken, ${result.summary.replacements_broken} with broken replacements, ${result.summary.unmatched} unmatched`);
+    return lines;
+}
+
+/**
+ * Parse the command line
+ * @param {Array<string>} argv - Arguments without node and the script
+ * @returns {{old_path: string, new_path: string, patches: Array<string>, instance: string|null, candidates: number, json: boolean}} Parsed arguments
+ */
+function parse_arguments(argv) {
+    const args = { snapshots: [], patches: [], instance: null, candidates: DEFAULT_CANDIDATE_COUNT, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        if (arg === "--patches") {
+            args.patches.push(value());
+        } else if (arg === "--instance") {
+            args.instance = value();
+        } else if (arg === "--candidates") {
+            args.candidates = Number(value());
+        } else if (arg === "--json") {
+            args.json = true;
+        } else if (arg.startsWith("--")) {
+            throw new Error(`Unknown argument: ${arg}`);
+        } else {
+            args.snapshots.push(arg);
+        }
+    }
+    if (args.snapshots.length !== 2) {
+        throw new Error("Usage: diff_snapshots.js <old.json> <new.json> [--patches <script.user.js>]... [--instance <key>] [--candidates <n>] [--json]");
+    }
+    return { ...args, old_path: args.snapshots[0], new_path: args.snapshots[1] };
+}
+
+/**
+ * Compare two snapshot files and print the result
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {number} Exit code: 0 if no enabled patch broke, 1 otherwise
+ */
+function run_cli(argv) {
+    const args = parse_arguments(argv);
+    const old_snapshot = load_snapshot(args.old_path);
+    const new_snapshot = load_snapshot(args.new_path);
+    const patches = args.patches.length > 0
+        ? patches_from_files(args.patches.map(file_path => path.resolve(file_path)))
+        : patches_from_snapshot(old_snapshot);
+
+    const result = diff_snapshots(old_snapshot, new_snapshot, patches, { instance: args.instance, candidates: args.candidates });
+    console.log(args.json ? JSON.stringify(result, null, 2) : format_result(result).join("\n"));
+    return result.patches.some(patch => patch.enabled && (patch.status === "broken" || patch.status === "replacements_broken")) ? 1 : 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = run_cli(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 2;
+    }
+}
+
+module.exports = { load_snapshot, patches_from_snapshot, patches_from_files, diff_snapshots, evaluate_patch, find_candidates, tokenize, similarity, format_result, run_cli };
@@ -0,0 +1,442 @@
+/**
+ * Offline test harness for WebpackPatcher.
+ *
+ * Loads webpack_patcher.user.js into a Node vm context together with a minimal simulated webpack runtime,
+ * feeds it saved module sources, runs patch scripts against them and reports what the patches did.
+ *
+ * Usage as a test runner for patch files:
+ *     node tools/harness.js --modules <modules.json|directory|chunk.js>... --patches <script.user.js>... [--out <directory>] [--option name=value]...
+ *
+ * Usage from tests:
+ *     const { PatchHarness } = require("./tools/harness.js");
+ *     const harness = new PatchHarness();
+ *     const webpack_require = harness.create_runtime({ 1: "function(module){module.exports={a:1}}" });
+ *     harness.register({ name: "test" }, [...]);
+ *     webpack_require(1);
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const DEFAULT_SCRIPT_PATH = path.join(__dirname, "..", "webpack_patcher.user.js");
+const DEFAULT_HOSTNAME = "harness.local";
+const DEFAULT_SCRIPT_URL = `https://${DEFAULT_HOSTNAME}/assets/runtime.js`;
+const DEFAULT_CHUNK_GLOBAL = "webpackChunkharness";
+const REPLACEMENT_PATTERN_KEYS = ["match", "insert_before", "insert_after", "wrap_body", "replace_block"]; // keys of a replacement which hold patterns
+
+/**
+ * Source of the simulated webpack 5 runtime. Assigns __webpack_require__.m/.c like the real runtime does,
+ * which is what the patcher's Function.prototype setters hook into.
+ * @param {Object<string, string>} modules - Module ID -> factory source
+ * @param {string} chunk_global - Name of the global chunk array
+ * @param {boolean} [rspack] - Define rspack's version and bundler id after the module map, like an rspack runtime
+ * @returns {string} Runtime source, evaluates to __webpack_require__
+ */
+function create_runtime_source(modules, chunk_global, rspack = false) {
+    const module_entries = Object.entries(modules).map(([module_id, source]) => `${JSON.stringify(module_id)}: (${source})`);
+    return `(() => {
+    var __webpack_modules__ = {
+        ${module_entries.join(",\n        ")}
+    };
+    var __webpack_module_cache__ = {};
+    function __webpack_require__(moduleId) {
+        var cachedModule = __webpack_module_cache__[moduleId];
+        if (cachedModule !== undefined) return cachedModule.exports;
+        // written like minified code, the patcher only accepts require functions containing "exports:{}"
+        var module = __webpack_module_cache__[moduleId] = {id: moduleId, loaded: false, exports:{}};
+        __webpack_modules__[moduleId].call(module.exports, module, module.exports, __webpack_require__);
+        module.loaded = true;
+        return module.exports;
+    }
+    __webpack_require__.m = __webpack_modules__;
+    __webpack_require__.c = __webpack_module_cache__;${rspack ? `
+    __webpack_require__.rv = () => "1.3.0";
+    __webpack_require__.ruid = "bundler=rspack@1.3.0";` : ""}
+    __webpack_require__.o = (obj, prop) => Object.prototype.hasOwnProperty.call(obj, prop);
+    __webpack_require__.d = (exports, definition) => {
+        for (var key in definition) {
+            if (__webpack_require__.o(definition, key) && !__webpack_require__.o(exports, key)) {
+                Object.defineProperty(exports, key, { enumerable: true, get: definition[key] });
+            }
+        }
+    };
+    __webpack_require__.r = (exports) => {
+        if (typeof Symbol !== "undefined" && Symbol.toStringTag) Object.defineProperty(exports, Symbol.toStringTag, { value: "Module" });
+        Object.defineProperty(exports, "__esModule", { value: true });
+    };
+    __webpack_require__.n = (module) => {
+        var getter = module && module.__esModule ? () => module["default"] : () => module;
+        __webpack_require__.d(getter, { a: getter });
+        return getter;
+    };
+    __webpack_require__.g = globalThis;
+    __webpack_require__.e = (chunkId) => Promise.resolve(chunkId);
+    var chunkLoadingGlobal = self[${JSON.stringify(chunk_global)}] = self[${JSON.stringify(chunk_global)}] || [];
+    var parentPush = chunkLoadingGlobal.push.bind(chunkLoadingGlobal);
+    chunkLoadingGlobal.push = (data) => {
+        var moreModules = data[1];
+        for (var moduleId in moreModules) {
+            if (__webpack_require__.o(moreModules, moduleId)) __webpack_require__.m[moduleId] = moreModules[moduleId];
+        }
+        return parentPush(data);
+    };
+    return __webpack_require__;
+})()`;
+}
+
+/**
+ * Read saved module sources
+ * @param {string} file_path - JSON file ({module_id: source}), directory of <module_id>.js files or a webpack chunk file
+ * @returns {{modules: Object<string, string>|null, chunk: string|null}} Module sources, or the source of a chunk file which has to be pushed
+ */
+function read_modules(file_path) {
+    if (fs.statSync(file_path).isDirectory()) {
+        const modules = {};
+        for (const file_name of fs.readdirSync(file_path)) {
+            if (file_name.endsWith(".js")) {
+                modules[file_name.slice(0, -3)] = fs.readFileSync(path.join(file_path, file_name), "utf8");
+            }
+        }
+        return { modules, chunk: null };
+    }
+
+    const content = fs.readFileSync(file_path, "utf8");
+    if (file_path.endsWith(".json")) {
+        return { modules: JSON.parse(content), chunk: null };
+    }
+    return { modules: null, chunk: content };
+}
+
+/**
+ * A WebpackPatcher loaded into its own vm context, with a fake window, location and localStorage
+ */
+class PatchHarness {
+    /**
+     * @param {Object} [options] - Harness options
+     * @param {string} [options.script_path] - Path of the userscript (default: webpack_patcher.user.js next to tools/)
+     * @param {string} [options.hostname] - Hostname of the simulated page (default: harness.local)
+     * @param {Object} [options.patcher_options] - Serializable patcher options, passed as a site configuration
+     * @param {Object<string, string>} [options.storage] - Initial localStorage content, shared (not copied) so it can be reused for a second harness
+     * @param {boolean} [options.verbose=false] - Print the patcher's console output
+     * @param {boolean} [options.expose_internals=false] - Expose the script's classes as harness.internals, for testing the patcher itself
+     */
+    constructor(options = {}) {
+        this.script_path = options.script_path || DEFAULT_SCRIPT_PATH;
+        this.hostname = options.hostname || DEFAULT_HOSTNAME;
+        this.storage = options.storage || {};
+        this.verbose = options.verbose || false;
+        this.logs = []; // {level, args} of everything the scripts logged
+        this.runtime_count = 0;
+
+        this.window = this._create_context();
+        this.window.WebpackPatcherConfigurations = [{
+            name: "harness",
+            hostnames: [this.hostname],
+            options: options.patcher_options || {}
+        }];
+
+        let source = fs.readFileSync(this.script_path, "utf8");
+        if (options.expose_internals) {
+            const main_call = "main(CONFIGURATIONS, FALLBACK_CONFIGURATION);";
+            const index = source.lastIndexOf(main_call);
+            if (index === -1) {
+                throw new Error("Could not find the main() call to expose the internals");
+            }
+            source = source.slice(0, index) + "window.__harness_internals = { Logger, WebpackInstance, FindMatcher, CodeTokenizer, CodeOperation, WebpackPatcher, WebpackPatchRegistrar, main };\n    " + source.slice(index);
+        }
+        this.run_script(source, this.script_path);
+        this.internals = options.expose_internals ? this.window.__harness_internals : null;
+    }
+
+    /**
+     * The global WebpackPatcher interface of the loaded script
+     * @returns {Object|undefined} window.WebpackPatcher
+     */
+    get WebpackPatcher() {
+        return this.window.WebpackPatcher;
+    }
+
+    /**
+     * Register patches, like WebpackPatcher.register in the page. RegExps created in Node belong to another realm than the page context,
+     * the patcher wouldn't recognize them as RegExps, so finds, matches and the anchors of structured operations are recreated in the page context first.
+     * @param {Object} options - Registration options, see WebpackPatcher.register
+     * @param {Array<Object>} patches - Patches
+     * @returns {Object} Registrar object
+     */
+    register(options, patches) {
+        const ContextRegExp = this.run_script("RegExp"); // builtins of the context are not properties of its global object from outside
+        const to_context = (pattern) => {
+            if (Array.isArray(pattern)) return pattern.map(to_context);
+            return pattern instanceof RegExp ? new ContextRegExp(pattern.source, pattern.flags) : pattern;
+        };
+        return this.WebpackPatcher.register(options, patches.map(patch => ({
+            ...patch,
+            find: to_context(patch.find),
+            replacements: Array.isArray(patch.replacements)
+                ? patch.replacements.map(replacement => Object.fromEntries(Object.entries(replacement)
+                    .map(([key, value]) => [key, REPLACEMENT_PATTERN_KEYS.includes(key) ? to_context(value) : value])))
+                : patch.replacements
+        })));
+    }
+
+    /**
+     * Create the vm context which acts as the page's window
+     * @returns {Object} Contextified global object
+     * @private
+     */
+    _create_context() {
+        const storage = this.storage;
+        const log = (level) => (...args) => {
+            this.logs.push({ level, args });
+            if (this.verbose) console[level](...args);
+        };
+
+        const context = {
+            console: { debug: log("debug"), log: log("log"), info: log("info"), warn: log("warn"), error: log("error") },
+            location: {
+                hostname: this.hostname,
+                host: this.hostname,
+                origin: `https://${this.hostname}`,
+                href: `https://${this.hostname}/`
+            },
+            localStorage: {
+                getItem: (key) => Object.prototype.hasOwnProperty.call(storage, key) ? storage[key] : null,
+                setItem: (key, value) => { storage[key] = String(value); },
+                removeItem: (key) => { delete storage[key]; }
+            },
+            setTimeout, clearTimeout, setInterval, clearInterval, queueMicrotask,
+            performance, URL, TextEncoder, TextDecoder, btoa, atob, AbortController, DOMException
+        };
+        context.window = context;
+        context.self = context;
+        return vm.createContext(context);
+    }
+
+    /**
+     * Run a script in the page context
+     * @param {string} source - Script source
+     * @param {string} [filename] - File name or URL shown in stack traces, the patcher names instances after it
+     * @returns {any} Completion value of the script
+     */
+    run_script(source, filename = "script.js") {
+        return vm.runInContext(source, this.window, { filename });
+    }
+
+    /**
+     * Run a script file (e.g. a userscript registering patches) in the page context
+     * @param {string} file_path - Path of the script
+     * @returns {any} Completion value of the script
+     */
+    run_script_file(file_path) {
+        return this.run_script(fs.readFileSync(file_path, "utf8"), path.resolve(file_path));
+    }
+
+    /**
+     * Start a simulated webpack runtime with the given modules
+     * @param {Object<string, string>} [modules] - Module ID -> factory source
+     * @param {Object} [options] - Runtime options
+     * @param {string} [options.script_url] - URL the runtime appears to be loaded from (default: https://harness.local/assets/runtime.js, numbered for further runtimes)
+     * @param {string} [options.chunk_global] - Name of the global chunk array (default: webpackChunkharness)
+     * @param {boolean} [options.rspack] - Simulate an rspack runtime (default: false)
+     * @returns {Function} The runtime's __webpack_require__
+     */
+    create_runtime(modules = {}, options = {}) {
+        const script_url = options.script_url || (this.runtime_count === 0 ? DEFAULT_SCRIPT_URL : DEFAULT_SCRIPT_URL.replace(/\.js$/, `${this.runtime_count}.js`));
+        this.runtime_count++;
+        return this.run_script(create_runtime_source(modules, options.chunk_global || DEFAULT_CHUNK_GLOBAL, options.rspack), script_url);
+    }
+
+    /**
+     * Push a chunk to a chunk array, like a chunk file loaded by the site
+     * @param {Array<string|number>} chunk_ids - Chunk IDs
+     * @param {Object<string, string>} modules - Module ID -> factory source
+     * @param {string} [chunk_global] - Name of the global chunk array (default: webpackChunkharness)
+     */
+    push_chunk(chunk_ids, modules, chunk_global = DEFAULT_CHUNK_GLOBAL) {
+        const module_entries = Object.entries(modules).map(([module_id, source]) => `${JSON.stringify(module_id)}: (${source})`);
+        this.run_script(`(self[${JSON.stringify(chunk_global)}] = self[${JSON.stringify(chunk_global)}] || []).push([${JSON.stringify(chunk_ids)}, {${module_entries.join(",\n")}}]);`, `chunk-${chunk_ids.join("-")}.js`);
+    }
+
+    /**
+     * Require (and thereby patch) modules, errors thrown by the modules are collected instead of thrown.
+     * Saved modules often need browser APIs, they are patched before they execute, so their patch results are valid regardless.
+     * @param {Function} webpack_require - Runtime to require the modules from
+     * @param {Array<string>} [module_ids] - Modules to require (default: all modules of the runtime)
+     * @returns {Array<{module_id: string, error: any}>} Modules which threw
+     */
+    require_modules(webpack_require, module_ids = Object.keys(webpack_require.m)) {
+        const errors = [];
+        for (const module_id of module_ids) {
+            try {
+                webpack_require(module_id);
+            } catch (error) {
+                errors.push({ module_id, error });
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Get the patched source of a module
+     * @param {string} module_id - Module ID
+     * @param {Object} [instance] - Instance the module belongs to (default: primary instance)
+     * @returns {string|null} Patched factory source, null if the module was not patched (yet)
+     */
+    get_patched_source(module_id, instance = this.WebpackPatcher.primaryInstance) {
+        const factory = instance?.module_factories?.[module_id];
+        if (typeof factory !== "function" || factory === this._get_original_factory(factory)) {
+            return null;
+        }
+        return Function.prototype.toString.call(factory);
+    }
+
+    /**
+     * Get the original factory behind a patched factory
+     * @param {Function} factory - Factory
+     * @returns {Function} Original factory, the factory itself if it is not patched
+     * @private
+     */
+    _get_original_factory(factory) {
+        const symbol = Object.getOwnPropertySymbols(factory).find(sym => sym.description === "WebpackPatcher.originalFactory");
+        return symbol ? factory[symbol] : factory;
+    }
+
+    /**
+     * Wait until timers the patcher started (runtime detection, chunk observation) have run
+     * @returns {Promise<void>}
+     */
+    async settle() {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+
+/**
+ * Turn a patch report into readable lines and decide whether the patches work
+ * @param {Object} report - Report of all registrars, see WebpackPatcher.getPatchReport()
+ * @returns {{lines: Array<string>, ok: boolean}} Summary lines, ok is false if a patch never matched, failed or is faulty
+ */
+function summarize_report(report) {
+    const lines = [];
+    let ok = true;
+    for (const [registrar_name, entry] of Object.entries(report)) {
+        lines.push(`${registrar_name}:`);
+        for (const patch of entry.patches) {
+            const problems = [];
+            if (patch.never_matched) problems.push("never matched");
+            if (patch.failures.length > 0) problems.push(`${patch.failures.length} failure(s)`);
+            if (patch.faulty) problems.push(`${patch.execution_errors.length} execution error(s)`);
+            if (problems.length > 0 && patch.enabled) ok = false;
+
+            lines.push(`  patch ${patch.index} (${JSON.stringify(patch.find)})${patch.enabled ? "" : " [disabled]"}: matched ${patch.matched_modules.length}, patched ${patch.patched_modules.length}${problems.length > 0 ? ` - ${problems.join(", ")}` : ""}`);
+            for (const replacement of patch.replacements) {
+                const skipped = replacement.skipped_modules.length > 0 ? `, skipped in ${replacement.skipped_modules.join(", ")}` : "";
+                lines.push(`    replacement ${replacement.index} (${replacement.match}): ${replacement.total_hits} hit(s)${skipped}`);
+            }
+            for (const failure of [...patch.failures, ...patch.execution_errors]) {
+                lines.push(`    module ${failure.module_id}: ${failure.message}`);
+            }
+        }
+    }
+    return { lines, ok };
+}
+
+/**
+ * Parse the command line of the harness
+ * @param {Array<string>} argv - Arguments without node and the script
+ * @returns {{modules: Array<string>, patches: Array<string>, out: string|null, options: Object, verbose: boolean}} Parsed arguments
+ */
+function parse_arguments(argv) {
+    const args = { modules: [], patches: [], out: null, options: {}, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        if (arg === "--modules") {
+            args.modules.push(value());
+        } else if (arg === "--patches") {
+            args.patches.push(value());
+        } else if (arg === "--out") {
+            args.out = value();
+        } else if (arg === "--option") {
+            const [name, ...rest] = value().split("=");
+            const raw = rest.join("=");
+            try {
+                args.options[name] = JSON.parse(raw);
+            } catch (e) {
+                args.options[name] = raw;
+            }
+        } else if (arg === "--verbose") {
+            args.verbose = true;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    if (args.modules.length === 0 || args.patches.length === 0) {
+        throw new Error("At least one --modules and one --patches argument is required");
+    }
+    return args;
+}
+
+/**
+ * Run patch scripts against saved modules and print the results
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Promise<number>} Exit code: 0 if every enabled patch matched without failures, 1 otherwise
+ */
+async function run_cli(argv) {
+    const args = parse_arguments(argv);
+    const harness = new PatchHarness({ patcher_options: args.options, verbose: args.verbose });
+
+    for (const patch_file of args.patches) {
+        harness.run_script_file(patch_file);
+    }
+
+    const modules = {};
+    const chunks = []; // [path, source]
+    for (const modules_path of args.modules) {
+        const saved = read_modules(modules_path);
+        if (saved.chunk !== null) {
+            chunks.push([modules_path, saved.chunk]);
+        } else {
+            Object.assign(modules, saved.modules);
+        }
+    }
+
+    // chunk files push to the chunk array of the site, the runtime has to use the same one
+    const chunk_global = chunks.map(([_, source]) => source.match(/webpack(?:Chunk|Jsonp)[\w$]*/)?.[0]).find(Boolean) || DEFAULT_CHUNK_GLOBAL;
+    const webpack_require = harness.create_runtime(modules, { chunk_global });
+    for (const [chunk_path, source] of chunks) {
+        harness.run_script(source, path.resolve(chunk_path));
+    }
+    await harness.settle();
+
+    const errors = harness.require_modules(webpack_require);
+    const { lines, ok } = summarize_report(harness.WebpackPatcher.getPatchReport());
+    console.log(lines.join("\n"));
+    console.log(`${Object.keys(webpack_require.m).length} module(s), ${errors.length} threw while executing (usually missing browser APIs, patching happens before)`);
+
+    if (args.out) {
+        fs.mkdirSync(args.out, { recursive: true });
+        for (const module_id of Object.keys(webpack_require.m)) {
+            const patched_source = harness.get_patched_source(module_id);
+            if (patched_source !== null) {
+                fs.writeFileSync(path.join(args.out, `${module_id}.js`), patched_source);
+            }
+        }
+        console.log(`Wrote patched modules to ${args.out}`);
+    }
+    return ok ? 0 : 1;
+}
+
+if (require.main === module) {
+    run_cli(process.argv.slice(2)).then(
+        code => { process.exitCode = code; },
+        error => { console.error(error.message); process.exitCode = 2; }
+    );
+}
+
+module.exports = { PatchHarness, read_modules, summarize_report, create_runtime_source, run_cli };
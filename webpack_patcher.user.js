@@ -53,730 +53,4600 @@
     }
 
     /**
-     * Class to patch webpack modules by intercepting module factory registration.
-     * Works by hooking Function.prototype to catch webpack's module initialization.
+     * State of a single webpack runtime (webpack require function) the patcher hooked into.
      */
-    class WebpackPatcher {
-        static VERSION = "2.0.0";
-        
-        static SYM_PROXY_INNER_GET = Symbol("WebpackPatcher.proxyInnerGet");
-        static SYM_PROXY_INNER_VALUE = Symbol("WebpackPatcher.proxyInnerValue");
-        static SYM_ORIGINAL_FACTORY = Symbol("WebpackPatcher.originalFactory");
-
+    class WebpackInstance {
         /**
-         * @param {Object} logger - Logger instance for debug/error output
-         * @param {Object} options - Configuration options
-         * @param {boolean} options.enable_cache - Enable caching for performance (default: false). Is only useful in some cases, check yourself.
-         * @param {boolean} options.use_eval - Use eval instead of new Function for better debugging (default: true)
-         * @param {Function} options.on_detect - Callback when webpack is detected (default: null)
-         * @param {Function} options.filter_func - Additional filter function: (webpack_require, stack_lines) => boolean. Should return true to allow the module, false to reject it.
-         * @param {Object} options.webpack_property_names - Property names to hook: {modules: "m", cache: "c"} (default: {modules: "m", cache: "c"})
+         * @param {string} name - Unique name of the instance
+         * @param {number} index - Index of the instance in detection order
+         * @param {Function} webpack_require - The instance's webpack require function
+         * @param {Object} module_factories - The instance's module factories (not the proxy webpack sees)
+         * @param {string|null} script - URL of the script which initialized the instance, if known
+         * @param {boolean} cache_enabled - Cache factory strings
+         * @param {Object} runtime - Runtime info: {flavour: "webpack4"|"webpack5"|"rspack"|"unknown", modules_property, cache_property, own_cache}, completed once the runtime finished its setup
          */
-        constructor(logger, options = {}) {
-            this.patches = [];
-            this.patched_modules = new Set();
-            this.module_registration_count = new Map();
-            this.module_factories = null;
-            this.webpack_require = null;
+        constructor(name, index, webpack_require, module_factories, script, cache_enabled, runtime) {
+            this.name = name;
+            this.index = index;
+            this.webpack_require = webpack_require;
+            this.module_factories = module_factories;
             this.webpack_cache = null;
-            this.hooked = false;
-            this.logger = logger || window.console;
-            
-            // default options
-            this.cache_enabled = options.enable_cache !== undefined ? options.enable_cache : false;
-            this.use_eval = options.use_eval !== undefined ? options.use_eval : true;
-            this.on_detect = options.on_detect || null;
-            this.filter_func = options.filter_func || null;
-            this.webpack_property_names = options.webpack_property_names || { modules: "m", cache: "c" };
-            
-            this.factory_string_cache = this.cache_enabled ? new Map() : null;
-            this.registrars = {}; // Store registrar objects by name
-            
-            this.placeholder_id = Math.random().toString(36).substring(2, 10); // just to make sure it's unique enough
-            this.placeholders = Object.freeze({
-                self: `WEBPACKPATCHER_PLACEHOLDER_SELF_${this.placeholder_id}`,
-                functions: `WEBPACKPATCHER_PLACEHOLDER_FUNCTIONS_${this.placeholder_id}`,
-                data: `WEBPACKPATCHER_PLACEHOLDER_DATA_${this.placeholder_id}`
-            });
+            this.script = script;
+            this.runtime = runtime;
+            this.runtime_ready = false; // set once the runtime finished its setup, see WebpackPatcher._finish_runtime_detection
+            this.patched_modules = new Set();
+            this.factory_string_cache = cache_enabled ? new Map() : null;
+        }
+    }
 
-            this.event_listeners = {
-                webpack_detected: [],
-                module_registered: [],
-                module_patched: []
-            };
+    /**
+     * Finds which patches' find patterns match a module in one pass over its code.
+     * String finds are compiled into an Aho-Corasick automaton, RegExp finds are tested one by one.
+     */
+    class FindMatcher {
+        constructor() {
+            this.string_finds = new Map(); // string -> Set of patch records
+            this.regex_finds = new Map(); // RegExp -> Set of patch records
+            this.nodes = null; // automaton, built lazily: Array<{next: Map<char code, node index>, fail, output: Array<string>, dict}>
+            this.links_built = false;
         }
 
         /**
-         * Get placeholder replacements for a given registrar name
-         * @param {string} registrar_name - Name of the registrar
-         * @returns {Object} Object mapping placeholders to their replacements
+         * Add the find patterns of a patch
+         * @param {Object} patch - Patch record, see WebpackPatcher._create_patch_record
          */
-        _get_placeholder_replacements(registrar_name) {
-            return {
-                [this.placeholders.self]: `window.WebpackPatcher.Registrars["${registrar_name}"]`,
-                [this.placeholders.functions]: `window.WebpackPatcher.Registrars["${registrar_name}"].functions`,
-                [this.placeholders.data]: `window.WebpackPatcher.Registrars["${registrar_name}"].data`
-            };
+        add(patch) {
+            for (const find of Array.isArray(patch._find) ? patch._find : [patch._find]) {
+                const finds = typeof find === "string" ? this.string_finds : find instanceof RegExp ? this.regex_finds : null;
+                if (!finds) continue; // matches nothing
+
+                if (!finds.has(find)) {
+                    finds.set(find, new Set());
+                    if (typeof find === "string" && this.nodes) {
+                        this._insert(find);
+                        this.links_built = false;
+                    }
+                }
+                finds.get(find).add(patch);
+            }
         }
 
         /**
-         * Add an event listener
-         * @param {string} event - Event name: "webpack_detected", "module_registered", "module_patched"
-         * @param {Function} callback - Callback function
+         * Remove the find patterns of a patch
+         * @param {Object} patch - Patch record
          */
-        add_event_listener(event, callback) {
-            if (!this.event_listeners[event]) {
-                this.logger.warn(`Unknown event: ${event}`);
-                return;
+        remove(patch) {
+            for (const find of Array.isArray(patch._find) ? patch._find : [patch._find]) {
+                const finds = typeof find === "string" ? this.string_finds : find instanceof RegExp ? this.regex_finds : null;
+                const patches = finds?.get(find);
+                if (!patches) continue;
+
+                patches.delete(patch);
+                if (patches.size === 0) {
+                    finds.delete(find);
+                    if (typeof find === "string") this.nodes = null; // strings can't be removed from the automaton, rebuild it
+                }
             }
-            this.event_listeners[event].push(callback);
-            this.logger.debug(`Added event listener for: ${event}`);
         }
 
         /**
-         * Remove an event listener
-         * @param {string} event - Event name
-         * @param {Function} callback - Callback function to remove
+         * Get all patches with a find pattern matching the code
+         * @param {string} code - Module code
+         * @returns {Set<Object>} Matching patch records
          */
-        remove_event_listener(event, callback) {
-            if (!this.event_listeners[event]) {
-                return;
+        match(code) {
+            const matched = new Set();
+            const add = (patches) => { for (const patch of patches) matched.add(patch); };
+
+            if (this.string_finds.size > 0) {
+                const nodes = this._get_automaton();
+                let remaining = this.string_finds.size;
+                if (this.string_finds.has("")) {
+                    add(this.string_finds.get(""));
+                    remaining--;
+                }
+
+                let state = 0;
+                const found = new Set(); // strings already reported
+                for (let i = 0; i < code.length; i++) {
+                    const char = code.charCodeAt(i);
+                    let next;
+                    while ((next = nodes[state].next.get(char)) === undefined && state !== 0) {
+                        state = nodes[state].fail;
+                    }
+                    state = next ?? 0;
+                    // walk the output links for every string ending here
+                    for (let node = nodes[state].output.length > 0 ? state : nodes[state].dict; node > 0; node = nodes[node].dict) {
+                        for (const string of nodes[node].output) {
+                            if (found.has(string)) continue;
+                            found.add(string);
+                            add(this.string_finds.get(string));
+                            remaining--;
+                        }
+                    }
+                    if (remaining === 0) break;
+                }
             }
-            const index = this.event_listeners[event].indexOf(callback);
-            if (index > -1) {
-                this.event_listeners[event].splice(index, 1);
-                this.logger.debug(`Removed event listener for: ${event}`);
+
+            for (const [regex, patches] of this.regex_finds) {
+                if (code.search(regex) !== -1) add(patches);
             }
+            return matched;
         }
 
         /**
-         * Emit an event to all listeners
-         * @param {string} event - Event name
-         * @param {...any} args - Arguments to pass to listeners
+         * Get the automaton, building it or its failure links if strings were added since the last match
+         * @returns {Array<Object>} Automaton nodes
          * @private
          */
-        _emit_event(event, ...args) {
-            if (!this.event_listeners[event]) {
-                return;
-            }
-            for (const listener of this.event_listeners[event]) {
-                try {
-                    listener(...args);
-                } catch (e) {
-                    this.logger.error(`Error in ${event} event listener:`, e);
+        _get_automaton() {
+            if (!this.nodes) {
+                this.nodes = [{ next: new Map(), fail: 0, output: [], dict: 0 }];
+                this.links_built = false;
+                for (const string of this.string_finds.keys()) {
+                    this._insert(string);
                 }
             }
+            if (!this.links_built) {
+                this._build_links();
+            }
+            return this.nodes;
         }
 
         /**
-         * Check if a value matches an identifier (supports both strings and RegExp)
-         * @param {string} value - Value to test
-         * @param {string|RegExp} identifier - Pattern to match (substring or regex)
-         * @returns {boolean} True if value matches identifier
+         * Insert a string into the trie of the automaton, its links have to be rebuilt afterwards
+         * @param {string} string - Non empty find string
+         * @private
          */
-        _matches_identifier(value, identifier) {
-            if (typeof identifier === 'string') {
-                return value.includes(identifier);
-            } else if (identifier instanceof RegExp) {
-                return identifier.test(value);
+        _insert(string) {
+            if (string === "") return;
+            let state = 0;
+            for (let i = 0; i < string.length; i++) {
+                const char = string.charCodeAt(i);
+                let next = this.nodes[state].next.get(char);
+                if (next === undefined) {
+                    next = this.nodes.length;
+                    this.nodes.push({ next: new Map(), fail: 0, output: [], dict: 0 });
+                    this.nodes[state].next.set(char, next);
+                }
+                state = next;
             }
-            return false;
+            this.nodes[state].output.push(string);
         }
 
         /**
-         * Register patches to be applied when modules are loaded
-         * @param {Object} options - Registration options
-         * @param {string} options.name - Name of the registrar (used to group patches and create user object)
-         * @param {Object} [options.data] - Initial data object for the registrar
-         * @param {Object} [options.functions] - Initial functions object for the registrar
-         * @param {Array<Object>} patches - Array of patch configurations
-         * @param {Object} [existing_registrar] - Existing registrar object to reuse (for buffer flushing)
-         * @returns {Object} Registrar object with data and functions properties
+         * Compute the failure links (longest proper suffix which is in the trie) and dictionary links
+         * (nearest node on the failure chain which ends a string) breadth first
+         * @private
          */
-        register_patches(options, patches, existing_registrar = null) {
-            const registrar_name = options.name;
-            
-            if (!registrar_name) {
-                throw new Error("Registrar name is required");
+        _build_links() {
+            const nodes = this.nodes;
+            const queue = [];
+            for (const child of nodes[0].next.values()) {
+                nodes[child].fail = 0;
+                nodes[child].dict = 0;
+                queue.push(child);
             }
 
-            if (!window.WebpackPatcher.Registrars[registrar_name]) {
-                const registrar_obj = existing_registrar || {
-                    data: options.data || {},
-                    functions: options.functions || {}
-                };
-                
-                Object.defineProperty(window.WebpackPatcher.Registrars, registrar_name, {
-                    value: registrar_obj,
-                    writable: false,
-                    enumerable: true,
-                    configurable: false
-                });
-                
-                this.registrars[registrar_name] = registrar_obj;
-                
-                this.logger.debug(`Created new registrar: ${registrar_name}`);
+            for (let q = 0; q < queue.length; q++) {
+                const state = queue[q];
+                for (const [char, child] of nodes[state].next) {
+                    let fail = nodes[state].fail;
+                    while (fail !== 0 && !nodes[fail].next.has(char)) {
+                        fail = nodes[fail].fail;
+                    }
+                    const target = nodes[fail].next.get(char);
+                    nodes[child].fail = target !== undefined && target !== child ? target : 0;
+                    const fail_node = nodes[nodes[child].fail];
+                    nodes[child].dict = fail_node.output.length > 0 ? nodes[child].fail : fail_node.dict;
+                    queue.push(child);
+                }
             }
+            this.links_built = true;
+        }
+    }
 
-            this.patches.push(...patches.map(p => ({ ...p, _registrar_name: registrar_name })));
-            
-            this.logger.debug(`Registered ${patches.length} patch(es) for ${registrar_name}, total patches: ${this.patches.length}`);
-
-            if (!this.hooked) {
-                this.hook_webpack();
-            }
+    /**
+     * Minimal JavaScript tokenizer, just enough to find balanced braces in module code.
+     * Strings, template literals (including their ${} expressions), regex literals and comments are single tokens
+     * (comments are dropped), so braces inside them are never mistaken for code.
+     */
+    class CodeTokenizer {
+        static KEYWORDS_BEFORE_EXPRESSION = new Set(["return", "typeof", "instanceof", "in", "of", "new", "delete", "void", "throw", "case", "do", "else", "yield", "await"]);
+        static WORD_PATTERN = /[\w$\u0080-\uffff]+/y;
+        static REGEX_FLAGS_PATTERN = /[a-z]*/y;
 
-            return window.WebpackPatcher.Registrars[registrar_name];
+        /**
+         * Tokenize code
+         * @param {string} code - Code
+         * @returns {Array<{type: string, value: string|null, start: number, end: number}>} Tokens, type is one of punctuator, word, string, template, regex.
+         *     value is only set for punctuators and words
+         */
+        static tokenize(code) {
+            const tokens = [];
+            CodeTokenizer._scan(code, 0, tokens, false);
+            return tokens;
         }
 
         /**
-         * Hook into webpack by intercepting Function.prototype property setters
+         * Get the index of the token closing the bracket at the given token index
+         * @param {Array<Object>} tokens - Tokens
+         * @param {number} index - Index of an opening (, [ or { token
+         * @returns {number} Index of the matching closing token, -1 if it is not closed
          */
-        hook_webpack() {
-            if (this.hooked) return;
-
-            const self = this;
-            const original_define_property = Object.defineProperty;
-            let webpack_detected = false;
-            let cache_detected = false;
+        static find_closing(tokens, index) {
+            const open = tokens[index].value;
+            const close = { "(": ")", "[": "]", "{": "}" }[open];
+            let depth = 0;
+            for (let i = index; i < tokens.length; i++) {
+                if (tokens[i].type !== "punctuator") continue;
+                if (tokens[i].value === open) depth++;
+                else if (tokens[i].value === close && --depth === 0) return i;
+            }
+            return -1;
+        }
 
-            original_define_property(Function.prototype, this.webpack_property_names.cache, {
-                enumerable: false,
-                configurable: true,
-                set: function(cache_obj) {
-                    original_define_property(this, self.webpack_property_names.cache, {
-                        value: cache_obj,
-                        writable: true,
-                        configurable: true
-                    });
-                    
-                    if (cache_detected) {
-                        self.logger.debug("Cache already detected, skipping duplicate initialization");
-                        return;
-                    }
+        /**
+         * Scan tokens until the end of the code, or until the } closing a template expression
+         * @param {string} code - Code
+         * @param {number} i - Start offset
+         * @param {Array<Object>} tokens - Tokens are appended to this array
+         * @param {boolean} in_template_expression - Stop at the unbalanced } ending a ${} expression
+         * @returns {number} Offset the scan stopped at (the closing } of a template expression, or the end of the code)
+         * @private
+         */
+        static _scan(code, i, tokens, in_template_expression) {
+            let depth = 0;
+            while (i < code.length) {
+                const char = code[i];
+                const start = i;
 
-                    if (!String(this).includes("exports:{}")) { // default filter which should apply to every site
-                        return;
+                if (/\s/.test(char)) {
+                    i++;
+                } else if (char === "/" && code[i + 1] === "/") {
+                    const end = code.indexOf("\n", i);
+                    i = end === -1 ? code.length : end;
+                } else if (char === "/" && code[i + 1] === "*") {
+                    const end = code.indexOf("*/", i + 2);
+                    i = end === -1 ? code.length : end + 2;
+                } else if (char === "\"" || char === "'") {
+                    i++;
+                    while (i < code.length && code[i] !== char && code[i] !== "\n") {
+                        i += code[i] === "\\" ? 2 : 1;
                     }
-
-                    const stack = new Error().stack;
-                    const stack_lines = stack?.split('\n') || [];
-
-                    if (self.filter_func && !self.filter_func(this, stack_lines)) {
-                        return;
+                    i++;
+                    tokens.push({ type: "string", value: null, start, end: Math.min(i, code.length) });
+                } else if (char === "`") {
+                    i = CodeTokenizer._scan_template(code, i);
+                    tokens.push({ type: "template", value: null, start, end: i });
+                } else if (char === "/" && CodeTokenizer._regex_allowed(tokens[tokens.length - 1], tokens[tokens.length - 2])) {
+                    i = CodeTokenizer._scan_regex(code, i);
+                    tokens.push({ type: "regex", value: null, start, end: i });
+                } else if (CodeTokenizer._is_word_char(char)) {
+                    CodeTokenizer.WORD_PATTERN.lastIndex = i;
+                    CodeTokenizer.WORD_PATTERN.test(code);
+                    i = CodeTokenizer.WORD_PATTERN.lastIndex;
+                    tokens.push({ type: "word", value: code.slice(start, i), start, end: i });
+                } else {
+                    if (in_template_expression && char === "{") {
+                        depth++;
+                    } else if (in_template_expression && char === "}" && depth-- === 0) {
+                        return i;
                     }
-
-                    cache_detected = true;
-
-                    self.webpack_cache = cache_obj;
-                    self.logger.debug("Captured webpack cache object");
-                },
-                get: function() {
-                    return self.webpack_cache;
+                    const value = char === "=" && code[i + 1] === ">" ? "=>" : char;
+                    i += value.length;
+                    tokens.push({ type: "punctuator", value, start, end: i });
                 }
-            });
-
-            // catch webpack module factory assignment
-            original_define_property(Function.prototype, this.webpack_property_names.modules, {
-                enumerable: false,
-                configurable: true,
-                set: function(module_factories) {
-                    original_define_property(this, self.webpack_property_names.modules, { // restore original property
-                        value: module_factories,
-                        writable: true,
-                        configurable: true
-                    });
-
-                    if (webpack_detected) {
-                        // self.logger.debug("Webpack already detected, skipping duplicate initialization");
-                        return;
-                    }
-
-                    if (!String(this).includes("exports:{}")) { // default filter which should apply to every site
-                        return;
-                    }
+            }
+            return i;
+        }
 
-                    const stack = new Error().stack;
-                    const stack_lines = stack?.split('\n') || [];
+        /**
+         * Skip a template literal
+         * @param {string} code - Code
+         * @param {number} i - Offset of the opening backtick
+         * @returns {number} Offset after the closing backtick
+         * @private
+         */
+        static _scan_template(code, i) {
+            i++;
+            while (i < code.length) {
+                if (code[i] === "\\") {
+                    i += 2;
+                } else if (code[i] === "`") {
+                    return i + 1;
+                } else if (code[i] === "$" && code[i + 1] === "{") {
+                    i = CodeTokenizer._scan(code, i + 2, [], true) + 1; // the expression's tokens are part of the template
+                } else {
+                    i++;
+                }
+            }
+            return code.length;
+        }
 
-                    if (self.filter_func && !self.filter_func(this, stack_lines)) {
-                        return;
-                    }
+        /**
+         * Skip a regex literal including its flags
+         * @param {string} code - Code
+         * @param {number} i - Offset of the opening slash
+         * @returns {number} Offset after the flags
+         * @private
+         */
+        static _scan_regex(code, i) {
+            let in_class = false;
+            i++;
+            while (i < code.length && code[i] !== "\n") {
+                const char = code[i];
+                if (char === "\\") {
+                    i += 2;
+                    continue;
+                }
+                if (char === "/" && !in_class) break;
+                if (char === "[") in_class = true;
+                else if (char === "]") in_class = false;
+                i++;
+            }
+            CodeTokenizer.REGEX_FLAGS_PATTERN.lastIndex = i + 1;
+            CodeTokenizer.REGEX_FLAGS_PATTERN.test(code);
+            return Math.min(CodeTokenizer.REGEX_FLAGS_PATTERN.lastIndex, code.length);
+        }
 
-                    webpack_detected = true;
+        /**
+         * Decide whether a slash starts a regex literal or is a division, based on the tokens before it
+         * @param {Object|undefined} previous - Previous token
+         * @param {Object|undefined} before_previous - Token before the previous one, a . (or ?.) there makes a keyword a property name
+         * @returns {boolean} True if a regex literal can start here
+         * @private
+         */
+        static _regex_allowed(previous, before_previous) {
+            if (!previous) return true;
+            if (previous.type === "word") return CodeTokenizer.KEYWORDS_BEFORE_EXPRESSION.has(previous.value) && before_previous?.value !== ".";
+            if (previous.type === "punctuator") return previous.value !== ")" && previous.value !== "]"; // } mostly ends a block in minified code
+            return false;
+        }
 
-                    const module_count = Object.keys(module_factories).length;
-                    self.logger.debug(`Detected webpack module factory assignment (with ${module_count} modules)`);
-                    self.webpack_require = this;
+        /**
+         * Check if a character can be part of an identifier, keyword or number
+         * @param {string} char - Character
+         * @returns {boolean} True for word characters
+         * @private
+         */
+        static _is_word_char(char) {
+            return /[\w$]/.test(char) || char.charCodeAt(0) > 0x7f;
+        }
+    }
 
-                    self._emit_event('webpack_detected', this, module_factories);
+    /**
+     * A structured replacement (insert_before, insert_after, wrap_body, replace_block), used as the match of a replacement.
+     * It implements Symbol.replace and Symbol.search, so the patcher applies it like a string or RegExp match:
+     * the replacer is called once per edited range with (text, offset, code), the replace function of the operation turns that range into the new code.
+     */
+    class CodeOperation {
+        static TYPES = ["insert_before", "insert_after", "wrap_body", "replace_block"];
 
-                    if (self.on_detect) {
-                        try {
-                            self.on_detect(this, module_factories);
-                        } catch (e) {
-                            self.logger.error("Error in on_detect callback:", e);
-                        }
-                    }
+        /**
+         * @param {string} type - Operation type, one of CodeOperation.TYPES
+         * @param {string|RegExp} anchor - Compiled anchor pattern
+         * @param {boolean} global - Apply to every occurrence of the anchor instead of the first one
+         */
+        constructor(type, anchor, global) {
+            this.type = type;
+            this.anchor = anchor;
+            this.global = global;
+        }
 
-                    // intercept new factory registrations
-                    const proxied_factories = new Proxy(module_factories, {
-                        set(target, module_id, factory) {
-                            // Track registration count
-                            // const count = (self.module_registration_count.get(module_id) || 0) + 1;
-                            // self.module_registration_count.set(module_id, count);
-                            
-                            // if (count > 1) {
-                            //     self.logger.warn(`Module ${module_id} registered ${count} times (possible HMR or duplicate registration)`);
-                            // }
-
-                            self._emit_event('module_registered', module_id, factory);
-
-                            // intercept execution using helper
-                            const factory_proxy = self._create_factory_proxy(module_id, factory);
-                            
-                            target[module_id] = factory_proxy;
-                            return true;
-                        },
-                        
+        /**
+         * Create the operation of a replacement, if it uses one
+         * @param {Object} replacement - Replacement configuration
+         * @param {Function} compile_pattern - Compiles the anchor, see WebpackPatcher._compile_pattern
+         * @returns {{match: CodeOperation, replace: string|Function}|null} Match and replace for the patcher, null for plain match/replace pairs
+         */
+        static from_replacement(replacement, compile_pattern) {
+            const type = CodeOperation.TYPES.find(type => replacement[type] !== undefined);
+            if (!type) {
+                return null;
+            }
 
-                        get(target, prop, receiver) {
-                            const value = Reflect.get(target, prop, receiver);
-                            
+            const operation = new CodeOperation(type, compile_pattern(replacement[type]), replacement.global ?? false);
+            const { code = "", before = "", after = "", replace = "" } = replacement;
+            switch (type) {
+                case "insert_before": return { match: operation, replace: (text) => code + text };
+                case "insert_after": return { match: operation, replace: (text) => text + code };
+                case "wrap_body": return { match: operation, replace: (block) => `{${before}${block.slice(1, -1)}${after}}` };
+                default: return { match: operation, replace };
+            }
+        }
 
-                            // if the value is a proxied factory, return the inner value for direct access
-                            if (value?.[WebpackPatcher.SYM_PROXY_INNER_GET]) {
-                                return value[WebpackPatcher.SYM_PROXY_INNER_VALUE];
-                            }
-                            
+        /**
+         * Get the ranges the operation edits: the anchor itself for inserts, the block after the anchor otherwise
+         * @param {string} code - Code
+         * @param {boolean} [all] - Get every range instead of only the first one (default: global)
+         * @returns {Array<{start: number, end: number}>} Non-overlapping ranges in ascending order
+         */
+        locate(code, all = this.global) {
+            const ranges = [];
+            let tokens = null;
+            for (const { index, length } of this._find_anchors(code)) {
+                if (ranges.length > 0 && index < ranges[ranges.length - 1].end) {
+                    continue;
+                }
 
-                            return value;
-                        }
-                    });
+                let range = { start: index, end: index + length };
+                if (this.type === "wrap_body" || this.type === "replace_block") {
+                    tokens ??= CodeTokenizer.tokenize(code);
+                    range = this.type === "wrap_body" ? this._find_body(tokens, range.start, range.end) : this._find_block(tokens, range.end);
+                }
+                if (range) {
+                    ranges.push(range);
+                    if (!all) break;
+                }
+            }
+            return ranges;
+        }
 
-                    self.module_factories = module_factories;
-                    
-                    original_define_property(this, self.webpack_property_names.modules, {
-                        value: proxied_factories,
-                        writable: true,
-                        configurable: true
-                    });
+        [Symbol.replace](code, replacer) {
+            let result = "";
+            let last = 0;
+            for (const { start, end } of this.locate(code)) {
+                result += code.slice(last, start) + replacer(code.slice(start, end), start, code);
+                last = end;
+            }
+            return result + code.slice(last);
+        }
 
-                    // wrap all pre-existing modules.
-                    // i don't think we need to worry about the webpack cache here, as it should be empty at this point
-                    for (const module_id in module_factories) {
-                        const factory = module_factories[module_id];
-                        const factory_proxy = self._create_factory_proxy(module_id, factory);
-                        module_factories[module_id] = factory_proxy;
-                    }
-                    
-                    self.logger.debug(`Wrapped ${module_count} pre-existing modules in factory proxies`);
-                }
-            });
+        [Symbol.search](code) {
+            return this.locate(code)[0]?.start ?? -1;
+        }
 
-            this.hooked = true;
-            this.logger.debug("Webpack hooking initialized");
+        toString() {
+            return `${this.type}(${this.anchor})`;
         }
 
         /**
-         * Get cached or compute factory string
-         * @param {string} module_id - Module ID for cache key
-         * @param {Function} factory - Factory function
-         * @returns {string} Factory as string
+         * Find all occurrences of the anchor
+         * @param {string} code - Code
+         * @returns {Array<{index: number, length: number}>} Occurrences
+         * @private
          */
-        _get_factory_string(module_id, factory) {
-            if (this.cache_enabled && this.factory_string_cache.has(module_id)) {
-                this.logger.debug(`Using cached factory string for module ${module_id} (cache hit)`);
-                return this.factory_string_cache.get(module_id);
-            }
-            
-            const factory_str = factory.toString();
-            
-            if (this.cache_enabled) {
-                this.factory_string_cache.set(module_id, factory_str);
+        _find_anchors(code) {
+            if (typeof this.anchor === "string") {
+                const occurrences = [];
+                for (let index = code.indexOf(this.anchor); index !== -1 && this.anchor !== ""; index = code.indexOf(this.anchor, index + this.anchor.length)) {
+                    occurrences.push({ index, length: this.anchor.length });
+                }
+                return occurrences;
             }
-            
-            return factory_str;
+            const flags = this.anchor.flags.includes("g") ? this.anchor.flags : this.anchor.flags + "g";
+            return [...code.matchAll(new RegExp(this.anchor.source, flags))].map(match => ({ index: match.index, length: match[0].length }));
         }
 
         /**
-         * Check if module matches pattern
-         * @param {string} factory_str - Factory string
-         * @param {Object} patch - Patch configuration
-         * @returns {boolean} True if matches
+         * Find the first {...} block starting at or after an offset
+         * @param {Array<Object>} tokens - Tokens of the code
+         * @param {number} offset - Offset, a { the anchor ends with counts
+         * @returns {{start: number, end: number}|null} Range of the block including its braces
+         * @private
          */
-        _check_pattern_match(factory_str, patch) {
-            const { find } = patch;
-            const finds = Array.isArray(find) ? find : [find];
-            
-            return finds.some(pattern => this._matches_identifier(factory_str, pattern));
+        _find_block(tokens, offset) {
+            const index = tokens.findIndex(token => token.end >= offset && token.type === "punctuator" && token.value === "{");
+            const closing = index === -1 ? -1 : CodeTokenizer.find_closing(tokens, index);
+            return closing === -1 ? null : { start: tokens[index].start, end: tokens[closing].end };
         }
 
         /**
-         * Get the patched factory for a module, patching it lazily if needed
-         * @param {string} module_id - Module ID
-         * @param {Function} factory - Original factory function
-         * @returns {Function} Patched factory or original if no patches match
+         * Find the body of the function whose signature the anchor matched. Brackets of the parameter list are skipped,
+         * so the anchor may end anywhere in the signature. The key of an object property holding the function is skipped too
+         * (render:function(e){}, run:(a)=>{}, Babel's key:"x",value:function(){}). Arrow functions with an expression body have no block and are ignored.
+         * @param {Array<Object>} tokens - Tokens of the code
+         * @param {number} start - Start of the anchor
+         * @param {number} end - End of the anchor
+         * @returns {{start: number, end: number}|null} Range of the body including its braces
+         * @private
          */
-        _get_or_patch_factory(module_id, factory) {
-            if (factory[WebpackPatcher.SYM_ORIGINAL_FACTORY] != null) {
-                return factory;
+        _find_body(tokens, start, end) {
+            let depth = 0; // relative to the end of the anchor, negative once the parameter list is closed
+            let i = tokens.findIndex(token => token.end > start && token.end >= end); // the anchor's last token
+            if (i === -1) return null;
+            if (tokens[i].start < end && tokens[i].end > end) i++; // the anchor ends inside a word
+            for (; i < tokens.length; i++) {
+                const { type, value } = tokens[i];
+                if (type !== "punctuator") continue;
+                if (value === "(" || value === "[") {
+                    depth++;
+                } else if (value === ")" || value === "]") {
+                    depth--;
+                } else if (value === "{" && depth > 0) {
+                    i = CodeTokenizer.find_closing(tokens, i); // destructuring or default value in the parameters
+                    if (i === -1) return null;
+                } else if (value === "{") {
+                    const closing = CodeTokenizer.find_closing(tokens, i);
+                    return closing === -1 ? null : { start: tokens[i].start, end: tokens[closing].end };
+                } else if (value === ":" && depth === 0 && this._starts_function(tokens, i + 1)) {
+                    continue; // the anchor ended in a property key
+                } else if (value === ";" || (depth <= 0 && (value === "}" || value === ":")) || (depth < 0 && (value === "," || value === "="))) {
+                    return null; // not a function signature
+                } else if (depth <= 0 && value === "=>" && tokens[i + 1]?.value !== "{") {
+                    return null;
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Check if a function expression starts at a token: function, (params) => or param =>, optionally async
+         * @param {Array<Object>} tokens - Tokens of the code
+         * @param {number} i - Index of the first token
+         * @returns {boolean} True if a function starts there
+         * @private
+         */
+        _starts_function(tokens, i) {
+            if (tokens[i]?.type === "word" && tokens[i].value === "async") i++;
+            const token = tokens[i];
+            if (token?.type === "word") {
+                return token.value === "function" || tokens[i + 1]?.value === "=>";
             }
+            return token?.type === "punctuator" && token.value === "(";
+        }
+    }
+
+    /**
+     * Class to patch webpack modules by intercepting module factory registration.
+     * Works by hooking Function.prototype to catch webpack's module initialization.
+     */
+    class WebpackPatcher {
+        static VERSION = "2.0.0";
+        
+        static SYM_PROXY_INNER_GET = Symbol("WebpackPatcher.proxyInnerGet");
+        static SYM_PROXY_INNER_VALUE = Symbol("WebpackPatcher.proxyInnerValue");
+        static SYM_ORIGINAL_FACTORY = Symbol("WebpackPatcher.originalFactory");
+        static SYM_ORIGINAL_EXPORT = Symbol("WebpackPatcher.originalExport");
+
+        static IDENTIFIER_PATTERN = "(?:[A-Za-z_$][\\w$]*)"; // what \i in find/match patterns compiles to
+        static DETECTION_STORAGE_KEY = "WebpackPatcher.detected_instance";
+        static PERSISTENT_CACHE_KEY = "WebpackPatcher.persistent_cache";
+        static PERSISTENT_CACHE_FORMAT = 3;
+        static REGISTRAR_PARAMETER = "__webpack_patcher_registrar"; // parameter of the closure patched code is evaluated in, see _evaluate_with
+        static EVALUATION_STRATEGIES = ["eval", "function", "script"]; // ways to turn patched code into a factory, see _detect_evaluation
+        static BASE64_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+        /**
+         * @param {Object} logger - Logger instance for debug/error output
+         * @param {Object} options - Configuration options
+         * @param {boolean} options.enable_cache - Enable caching for performance (default: false). Is only useful in some cases, check yourself.
+         * @param {boolean} options.use_eval - Prefer eval over new Function for better debugging, see evaluation_strategy (default: true)
+         * @param {Function} options.on_detect - Callback when webpack is detected (default: null)
+         * @param {Function} options.filter_func - Additional filter function: (webpack_require, stack_lines) => boolean. Should return true to allow the module, false to reject it.
+         * @param {Object} options.webpack_property_names - Property names to hook: {modules: "m", cache: "c"} (default: {modules: "m", cache: "c"}). Assigned values are told apart by their content, the names only decide for empty values.
+         * @param {boolean} options.repatch_executed - Re-patch already executed modules when patches are registered too late (default: false). Can be overridden per registrar.
+         * @param {Array<string>} options.chunk_global_names - Names of the global chunk arrays to observe (default: all window properties starting with webpackChunk or webpackJsonp)
+         * @param {boolean} options.multiple_instances - Hook every webpack instance which passes the filters instead of only the first one (default: false)
+         * @param {Function} options.instance_name - Function to name instances: (webpack_require, stack_lines, index) => string (default: file name of the initializing script)
+         * @param {boolean} options.auto_detect - Hook every webpack instance and pick the primary one heuristically, used for sites without a configuration (default: false)
+         * @param {boolean} options.source_maps - Add inline source maps to patched modules which map back to the original code and the registrars' replacements, not available when patched code is evaluated with new Function. Makes patching slower and patched modules larger (default: false)
+         * @param {boolean} options.persistent_cache - Remember in localStorage which modules matched and their patched code, so unchanged modules skip matching on later page loads (default: false)
+         * @param {boolean} options.fast_matching - Match all string finds against a module in one pass (Aho-Corasick) instead of testing every patch on its own (default: true)
+         * @param {boolean} options.safe_execution - Run the original factory if a patched factory throws while executing, instead of letting the error break the site (default: false)
+         * @param {boolean} options.eager_validation - Validate all patches against every known module when webpack is detected and when a chunk loads, without applying anything (default: false)
+         * @param {string} options.evaluation_strategy - How patched code is evaluated: "auto" (first one the site's CSP/Trusted Types allow), "eval", "function" or "script" (default: "auto")
+         * @param {string} options.trusted_types_policy - Name of the Trusted Types policy created for patched code, for sites which only allow some policy names (default: "webpack-patcher")
+         * @param {boolean} options.expose_registrars - Also expose the registrar objects as WebpackPatcher.Registrars, making their data and functions reachable by the page and other scripts (default: false)
+         */
+        constructor(logger, options = {}) {
+            this.patches = [];
+            this.module_registration_count = new Map();
+            this.instances = []; // all accepted webpack instances, in detection order
+            this.primary_instance = null; // instance used when none is specified
+            this.pending_caches = new WeakMap(); // webpack_require -> {cache_obj, property}, for caches assigned before the module factories
+            this.hooked = false;
+            this.logger = logger || window.console;
             
-            if (this.patched_modules.has(module_id)) {
-                return factory;
+            // default options
+            this.cache_enabled = options.enable_cache !== undefined ? options.enable_cache : false;
+            this.use_eval = options.use_eval !== undefined ? options.use_eval : true;
+            this.source_maps = options.source_maps !== undefined ? options.source_maps : false;
+            this.persistent_cache = options.persistent_cache !== undefined ? options.persistent_cache : false;
+            this.fast_matching = options.fast_matching !== undefined ? options.fast_matching : true;
+            this.safe_execution = options.safe_execution !== undefined ? options.safe_execution : false;
+            this.eager_validation = options.eager_validation !== undefined ? options.eager_validation : false;
+            this.evaluation_strategy = options.evaluation_strategy || "auto";
+            this.trusted_types_policy_name = options.trusted_types_policy || "webpack-patcher";
+            this.evaluation = null; // {strategy, trusted_types, failures} picked by _detect_evaluation, strategy is null if patched code can't be evaluated at all
+            this.trusted_types_policy = null; // created on first use, a policy name can only be used once per page
+            this.expose_registrars = options.expose_registrars !== undefined ? options.expose_registrars : false;
+            this.on_detect = options.on_detect || null;
+            this.filter_func = options.filter_func || null;
+            this.webpack_property_names = options.webpack_property_names || { modules: "m", cache: "c" };
+            this.repatch_executed = options.repatch_executed !== undefined ? options.repatch_executed : false;
+            this.chunk_global_names = options.chunk_global_names || null;
+            this.multiple_instances = options.multiple_instances !== undefined ? options.multiple_instances : false;
+            this.instance_name = options.instance_name || null;
+            this.auto_detect = options.auto_detect !== undefined ? options.auto_detect : false;
+            if (this.auto_detect) {
+                this.multiple_instances = true; // the main instance is not known until all candidates are seen
             }
+            this.detection_candidates = []; // {instance, score, reasons} of every instance scored by the auto-detection
+            this.detection_override = null; // instance picked by the user at runtime
+            this.detection_choice = this.auto_detect ? this._load_detection_choice() : null; // detection key of the instance the user confirmed on an earlier visit
+            
+            this.registrars = {}; // Store registrar objects by name
+            this.disabled_registrars = new Set();
+            this.patch_sequence = 0; // registration counter, tie breaker when ordering patches of equal priority
+            this.patch_set_version = 0; // incremented whenever the set of active patches changes
+            this.patch_set_hashes = new WeakMap(); // instance -> {version, hash} of the patches applying to it
+            this.find_matcher = new FindMatcher();
+            this.match_metrics = { modules: 0, time: 0, matched: 0 }; // modules matched against all finds, total time in ms, patches found matching
 
-            const factory_str = this._get_factory_string(module_id, factory);
-            let current_factory = factory;
-            let current_factory_str = factory_str;
-            let any_patches_applied = false;
+            this.persistent_cache_entries = this.persistent_cache ? this._load_persistent_cache() : new Map(); // cache key -> outcome record
+            this.persistent_cache_used = new Map(); // entries used or created during this page load, the only ones which are saved
+            this.persistent_cache_save_timeout = null;
+            this.conflicts = [];
             
-            for (let i = 0; i < this.patches.length; i++) {
-                const patch = this.patches[i];
-                
-                if (!this._check_pattern_match(current_factory_str, patch)) {
-                    continue;
-                }
+            this.placeholder_id = Math.random().toString(36).substring(2, 10); // just to make sure it's unique enough
+            this.placeholders = Object.freeze({
+                self: `WEBPACKPATCHER_PLACEHOLDER_SELF_${this.placeholder_id}`,
+                functions: `WEBPACKPATCHER_PLACEHOLDER_FUNCTIONS_${this.placeholder_id}`,
+                data: `WEBPACKPATCHER_PLACEHOLDER_DATA_${this.placeholder_id}`
+            });
+            this.registrar_lookup = Object.freeze((registrar_name) => Object.hasOwn(this.registrars, registrar_name) ? this.registrars[registrar_name] : undefined);
 
-                // this.logger.debug(`Module ${module_id} matches patch ${i + 1}/${this.patches.length}`);
-                
-                const patch_result = this._apply_patch(current_factory, current_factory_str, patch.replacements, module_id, patch._registrar_name);
-                
-                if (patch_result.factory !== current_factory) {
-                    current_factory = patch_result.factory;
-                    current_factory_str = patch_result.factory_str;
-                    any_patches_applied = true;
-                    
-                    // this.logger.debug(`Applied patch ${i + 1} to module ${module_id}`);
-                }
+            this.event_listeners = {
+                webpack_detected: [],
+                module_registered: [],
+                module_patched: [],
+                patch_missed: [],
+                patch_conflict: [],
+                patch_failed: [],
+                chunk_loaded: []
+            };
+
+            this.module_waiters = []; // pending wait_for_module calls, resolved when a matching module finishes executing
+            this.intercepts = []; // active intercept records, applied when a matching module finishes executing
+            this.intercept_sequence = 0;
+            this.export_hooks = new WeakMap(); // owner object -> Map(key -> hook chain)
+
+            this.chunks = new Map(); // chunk_id -> Set of module IDs it contributed
+            this.hooked_chunk_globals = new Set(); // names of hooked chunk arrays
+            this.handled_chunk_pushes = new WeakSet(); // chunk data arrays which were already handled
+        }
+
+        /**
+         * Webpack require function of the primary instance
+         * @returns {Function|null}
+         */
+        get webpack_require() {return this.primary_instance?.webpack_require || null;}
+
+        /**
+         * Module factories of the primary instance
+         * @returns {Object|null}
+         */
+        get module_factories() {return this.primary_instance?.module_factories || null;}
+
+        /**
+         * Webpack cache of the primary instance
+         * @returns {Object|null}
+         */
+        get webpack_cache() {return this.primary_instance?.webpack_cache || null;}
+
+        /**
+         * IDs of the executed modules of the primary instance
+         * @returns {Set<string>}
+         */
+        get patched_modules() {return this.primary_instance?.patched_modules || new Set();}
+
+        /**
+         * Get an instance by name, or the primary instance
+         * @param {string|WebpackInstance|null} [instance] - Instance name or instance, null for the primary instance
+         * @returns {WebpackInstance|null} Instance or null if not found
+         */
+        get_instance(instance = null) {
+            if (instance == null) {
+                return this.primary_instance;
             }
-            
-            if (any_patches_applied) {
-                current_factory[WebpackPatcher.SYM_ORIGINAL_FACTORY] = factory;
-                this.module_factories[module_id] = current_factory;
-                this._emit_event('module_patched', module_id, current_factory, factory);
+            if (instance instanceof WebpackInstance) {
+                return instance;
             }
-            
-            this.patched_modules.add(module_id);
-            return current_factory;
+            return this.instances.find(i => i.name === instance) || null;
         }
 
         /**
-         * Apply patch using matches_and_replacements array format
-         * @param {Function} factory - Original factory function
-         * @param {string} factory_str - Factory as string
-         * @param {Array<Object>} matches_and_replacements - Array of {match, replace, global} objects
-         * @param {string} module_id - Module ID for logging
-         * @param {string} registrar_name - Name of registrar for placeholder replacement
-         * @returns {{factory: Function, factory_str: string}} Patched factory and its string representation, or original if patching fails
+         * Get the instances matching a selector
+         * @param {string|Function|null} [selector] - Instance name or predicate (instance) => boolean, null for all instances
+         * @returns {Array<WebpackInstance>} Matching instances, the primary instance first
+         * @private
          */
-        _apply_patch(factory, factory_str, matches_and_replacements, module_id, registrar_name) {
-            let patched_code;
-            
-            if (!Array.isArray(matches_and_replacements) || matches_and_replacements.length === 0) {
-                this.logger.warn(`Module was matched, but no replacements provided`);
-                return { factory, factory_str };
+        _select_instances(selector = null) {
+            const ordered = this.primary_instance
+                ? [this.primary_instance, ...this.instances.filter(i => i !== this.primary_instance)]
+                : [];
+            return ordered.filter(instance => this._instance_matches(selector, instance));
+        }
+
+        /**
+         * Check if an instance matches a selector
+         * @param {string|Function|null} selector - Instance name or predicate (instance) => boolean, null matches every instance
+         * @param {WebpackInstance} instance - Instance
+         * @returns {boolean} True if the instance matches
+         * @private
+         */
+        _instance_matches(selector, instance) {
+            if (selector == null) {
+                return true;
             }
+            return typeof selector === "function" ? !!selector(instance) : selector === instance.name;
+        }
 
-            try {
-                patched_code = factory_str;
-                let total_replacements = 0;
+        /**
+         * Get the key a module is recorded under in reports. Modules of the first detected instance use their ID,
+         * modules of other instances are prefixed with the instance name ("<instance>:<module_id>").
+         * @param {WebpackInstance} instance - Instance
+         * @param {string} module_id - Module ID
+         * @returns {string} Module key
+         * @private
+         */
+        _get_module_key(instance, module_id) {
+            return instance.index === 0 ? String(module_id) : `${instance.name}:${module_id}`;
+        }
 
-                for (let i = 0; i < matches_and_replacements.length; i++) {
-                    const match_and_replacement = matches_and_replacements[i];
-                    let replacement_occurred = false;
+        /**
+         * Check if a patch applies to an instance
+         * @param {Object} patch - Patch record
+         * @param {WebpackInstance} instance - Instance
+         * @returns {boolean} True if the patch has no instance target or the target matches the instance
+         * @private
+         */
+        _patch_targets_instance(patch, instance) {
+            return this._instance_matches(patch._instance, instance);
+        }
 
-                    const { match, replace, global } = match_and_replacement;
-                    const func = global || (match instanceof RegExp && match.global) ? "replaceAll" : "replace";
-                    
-                    if (typeof replace === 'function') {
-                        patched_code = patched_code[func](match, (...args) => {
-                            replacement_occurred = true;
-                            return replace(...args);
-                        });
-                    } else {
-                        patched_code = patched_code[func](match, (...args) => {
-                            replacement_occurred = true;
-                            return replace;
-                        });
-                    }
+        /**
+         * Create and register the instance of an accepted webpack require function
+         * @param {Function} webpack_require - Webpack require function
+         * @param {Object} module_factories - Module factories
+         * @param {Array<string>} stack_lines - Stack at the time the module factories were assigned
+         * @param {string} modules_property - Property the module factories were assigned to
+         * @returns {WebpackInstance} New instance
+         * @private
+         */
+        _create_instance(webpack_require, module_factories, stack_lines, modules_property) {
+            const index = this.instances.length;
+            const script = this._get_script_url(stack_lines);
 
-                    if (replacement_occurred) {
-                        total_replacements++;
-                    } else {
-                        this.logger.warn(`Replacement ${i + 1}/${matches_and_replacements.length} skipped (no match) for module ${module_id}`);
-                    }
+            let name = null;
+            if (this.instance_name) {
+                try {
+                    name = this.instance_name(webpack_require, stack_lines, index);
+                } catch (e) {
+                    this.logger.error("Error in instance_name callback:", e);
                 }
+            }
+            name = name || script?.split(/[?#]/)[0].split("/").pop() || `instance_${index}`;
+            if (this.instances.some(i => i.name === name)) {
+                name = `${name}#${index}`;
+            }
 
-                if (total_replacements === 0) {
-                    this.logger.warn(`No replacements occurred in module ${module_id}, returning original factory`);
-                    return { factory, factory_str };
-                }
+            const runtime = this._detect_runtime(webpack_require, modules_property);
+            const instance = new WebpackInstance(name, index, webpack_require, module_factories, script, this.cache_enabled, runtime);
+            if (this.pending_caches.has(webpack_require)) {
+                const { cache_obj, property } = this.pending_caches.get(webpack_require);
+                this._set_instance_cache(instance, cache_obj, property);
+                this.pending_caches.delete(webpack_require);
+            } else {
+                // until (or if never) the runtime assigns its cache, collect the module objects of executed modules
+                instance.webpack_cache = {};
+                runtime.own_cache = true;
+            }
 
-                const placeholder_replacements = this._get_placeholder_replacements(registrar_name);
-                for (const [placeholder, replacement] of Object.entries(placeholder_replacements)) {
-                    patched_code = patched_code.replaceAll(placeholder, replacement);
-                }
+            this.instances.push(instance);
+            if (!this.primary_instance) {
+                this.primary_instance = instance;
+            }
+            if (this.auto_detect) {
+                this._add_detection_candidate(instance);
+            }
+            return instance;
+        }
 
-                // add source map
-                const patched_source = `// Webpack Module ${module_id} - Patched by WebpackPatcher\n0,${patched_code}\n//# sourceURL=WebpackModule${module_id}`;
-                
-                const patched_factory = this.use_eval 
-                    ? (0, eval)(patched_source)
-                    : new Function(`return (${patched_code})`)();
-                
-                return { 
-                    factory: patched_factory, 
-                    factory_str: patched_code 
-                };
+        /**
+         * Get the URL of the script at the bottom of a stack, i.e. the script which started the call
+         * @param {Array<string>} stack_lines - Stack lines
+         * @returns {string|null} Script URL or null if the stack contains none
+         * @private
+         */
+        _get_script_url(stack_lines) {
+            return stack_lines.join("\n").match(/(?:https?|file|chrome-extension|moz-extension):\/\/[^\s)]+?(?=:\d+:\d+|\)|\s|$)/g)?.pop() || null;
+        }
+
+        /**
+         * Score how likely an instance is the main webpack instance of the site
+         * @param {WebpackInstance} instance - Instance
+         * @returns {{score: number, reasons: Array<string>}} Score (higher is more likely) and the reasons it is made of
+         * @private
+         */
+        _score_instance(instance) {
+            const reasons = [];
+            let score = 0;
+            const add = (points, reason) => {
+                score += points;
+                reasons.push(`${reason} (${points >= 0 ? "+" : ""}${points})`);
+            };
+
+            // the app usually ships far more modules than widgets, polyfills or embedded third party bundles
+            const module_count = Object.keys(instance.module_factories).length;
+            add(Math.round(Math.min(module_count, 1000) / 10), `${module_count} modules`);
+
+            let script_url = null;
+            try {
+                script_url = instance.script ? new URL(instance.script) : null;
             } catch (e) {
-                this.logger.error(`Replacement based patching failed:`, e, "patched code:", patched_code);
-                return { factory, factory_str };
+                // unparsable script URL, treat as unknown
+            }
+
+            if (!script_url) {
+                add(-20, "initializing script unknown");
+            } else if (script_url.protocol.endsWith("-extension:")) {
+                add(-100, "script of a browser extension");
+            } else if (script_url.origin === location.origin) {
+                add(30, "same-origin script");
+            } else if (script_url.hostname.split(".").slice(-2).join(".") === location.hostname.split(".").slice(-2).join(".")) {
+                add(15, "script from the same site");
+            }
+
+            const file_name = script_url?.pathname.split("/").pop() || "";
+            if (/(?:^|[.\-_])(?:runtime|main|app|web|bundle|index)(?=[.\-_])/i.test(file_name)) {
+                add(20, "script name looks like a main bundle");
             }
+
+            return { score, reasons };
         }
 
         /**
-         * @param {Object} logger - Logger instance for debug/error output
-         * @param {Object} options - Configuration options
-         * @param {boolean} options.enable_cache - Enable caching for performance (default: false). Is only useful in some cases, check yourself.
-         * @param {boolean} options.use_eval - Use eval instead of new Function for better debugging. Can be disabled by sites though. (default: true)
-         * @param {Function} options.on_detect - Callback when webpack is detected (default: null)
-         * @param {Function} options.filter_func - Filter function to select webpack instance: (webpack_require, stack_lines) => boolean. Should return true to allow the instance, false to reject it.
-         * @param {Object} options.webpack_property_names - Property names to hook: {modules: "m", cache: "c"} (default: {modules: "m", cache: "c"})
+         * Get the key an instance is remembered by when the user confirms the auto-detection.
+         * Content hashes are stripped from the script name so the choice survives site updates.
+         * @param {WebpackInstance} instance - Instance
+         * @returns {string} Detection key, e.g. "web.js" for "https://example.com/assets/web.1b9c5e8f0b.js"
+         * @private
          */
-        static initialize(logger, options={}) {
-            const patcher = new WebpackPatcher(logger, options);
-            patcher.hook_webpack();
-            logger.log("WebpackPatcher initialized, options:", options);
-            return patcher;
+        _get_detection_key(instance) {
+            const file_name = instance.script?.split(/[?#]/)[0].split("/").pop() || instance.name;
+            return file_name.replace(/[.\-_][0-9a-f]{6,}(?=[.\-_]|$)/gi, "");
         }
 
         /**
-         * Clear caches
-         * @param {string} module_id - Optional specific module ID to clear
+         * Score a new instance and update the primary instance if the new one is a better candidate
+         * @param {WebpackInstance} instance - Newly detected instance
+         * @private
          */
-        clear_cache(module_id=null) {
-            if (!this.cache_enabled) {
-                this.logger.warn("Cache is disabled, nothing to clear");
-                return;
-            }
-            
-            if (module_id) {
-                this.factory_string_cache.delete(module_id);
-            } else {
-                this.factory_string_cache.clear();
+        _add_detection_candidate(instance) {
+            const { score, reasons } = this._score_instance(instance);
+            this.detection_candidates.push({ instance, score, reasons });
+
+            const picked = this._pick_detected_instance();
+            const changed = picked !== this.primary_instance;
+            this.primary_instance = picked;
+
+            this.logger.log(`Auto-detection candidate ${instance.name} scored ${score}: ${reasons.join(", ")}`);
+            if (changed || this.detection_candidates.length === 1) {
+                const why = this.detection_choice && this._get_detection_key(picked) === this.detection_choice
+                    ? "confirmed on an earlier visit"
+                    : `highest score of ${this.detection_candidates.length} candidate(s)`;
+                this.logger.log(`Auto-detection picked ${picked.name} as primary instance (${why}). Use WebpackPatcher.confirmDetection() to keep it or WebpackPatcher.overrideDetection(name) to pick another one.`);
             }
         }
 
         /**
-         * Create a factory proxy that intercepts execution for lazy patching
-         * @param {string} module_id - Module ID
-         * @param {Function} factory - Original factory function
-         * @returns {Proxy} Proxied factory
+         * Pick the primary instance among the auto-detection candidates: the instance the user picked at runtime,
+         * else the instance the user confirmed earlier, else the one with the highest score (the first one on ties)
+         * @returns {WebpackInstance|null} Picked instance
          * @private
          */
-        _create_factory_proxy(module_id, factory) {
-            const self = this;
-            return new Proxy(factory, {
-                apply(factory_target, thisArg, argArray) {
-                    const patched_factory = self._get_or_patch_factory(module_id, factory_target);
-                    return patched_factory.apply(thisArg, argArray);
-                },
-                
-                get(factory_target, prop, receiver) {
-                    return self._handle_factory_get(factory_target, prop, receiver);
+        _pick_detected_instance() {
+            if (this.detection_override) {
+                return this.detection_override;
+            }
+
+            const confirmed = this.detection_choice
+                && this.detection_candidates.find(candidate => this._get_detection_key(candidate.instance) === this.detection_choice);
+            if (confirmed) {
+                return confirmed.instance;
+            }
+
+            let best = null;
+            for (const candidate of this.detection_candidates) {
+                if (!best || candidate.score > best.score) {
+                    best = candidate;
                 }
-            });
+            }
+            return best?.instance || this.primary_instance;
         }
 
         /**
-         * Handle get trap for factory proxies
-         * @param {Function} factory_target - Target factory function
-         * @param {string|symbol} prop - Property being accessed
-         * @param {any} receiver - Proxy receiver
-         * @returns {any} Property value
+         * Load the detection key the user confirmed on an earlier visit
+         * @returns {string|null} Detection key or null if nothing was confirmed
          * @private
          */
-        _handle_factory_get(factory_target, prop, receiver) {
-            if (prop === WebpackPatcher.SYM_PROXY_INNER_GET) {
-                return true;
+        _load_detection_choice() {
+            try {
+                return window.localStorage.getItem(WebpackPatcher.DETECTION_STORAGE_KEY);
+            } catch (e) {
+                return null; // storage can be blocked
             }
-            if (prop === WebpackPatcher.SYM_PROXY_INNER_VALUE) {
-                return factory_target;
+        }
+
+        /**
+         * Remember (or forget) the detection key of the primary instance for later visits
+         * @param {string|null} key - Detection key, null to forget it
+         * @returns {boolean} True if the choice could be stored
+         * @private
+         */
+        _store_detection_choice(key) {
+            this.detection_choice = key;
+            try {
+                if (key === null) {
+                    window.localStorage.removeItem(WebpackPatcher.DETECTION_STORAGE_KEY);
+                } else {
+                    window.localStorage.setItem(WebpackPatcher.DETECTION_STORAGE_KEY, key);
+                }
+                return true;
+            } catch (e) {
+                this.logger.warn("Could not store the auto-detection choice:", e);
+                return false;
             }
-            
-            const actual_factory = factory_target[WebpackPatcher.SYM_ORIGINAL_FACTORY] || factory_target;
-            
+        }
+
+        /**
+         * Get the state of the auto-detection: all candidates with their score and why, and which one was picked
+         * @returns {Object} Report: {enabled, primary, confirmed, stored_choice, candidates: Array<{name, script, key, score, reasons, primary}>}
+         */
+        get_detection_report() {
+            return {
+                enabled: this.auto_detect,
+                primary: this.primary_instance?.name || null,
+                confirmed: this.primary_instance != null && this.detection_choice === this._get_detection_key(this.primary_instance),
+                stored_choice: this.detection_choice,
+                candidates: this.detection_candidates.map(({ instance, score, reasons }) => ({
+                    name: instance.name,
+                    script: instance.script,
+                    key: this._get_detection_key(instance),
+                    score,
+                    reasons: [...reasons],
+                    primary: instance === this.primary_instance
+                }))
+            };
+        }
+
+        /**
+         * Confirm the instance picked by the auto-detection, it is picked again on later visits regardless of the scores
+         * @returns {string|null} Stored detection key, null if auto-detection is off or nothing was detected yet
+         */
+        confirm_detection() {
+            if (!this.auto_detect || !this.primary_instance) {
+                this.logger.warn("Nothing to confirm, auto-detection is off or no webpack instance was detected yet");
+                return null;
+            }
+            const key = this._get_detection_key(this.primary_instance);
+            this._store_detection_choice(key);
+            this.logger.log(`Confirmed ${this.primary_instance.name} as primary instance (remembered as ${key})`);
+            return key;
+        }
+
+        /**
+         * Override the instance picked by the auto-detection, now and on later visits
+         * @param {string} instance_name - Name of the instance to use as primary instance
+         * @returns {boolean} True if the instance was found and picked
+         */
+        override_detection(instance_name) {
+            const candidate = this.detection_candidates.find(c => c.instance.name === instance_name);
+            if (!candidate) {
+                this.logger.warn(`Cannot override the auto-detection, unknown candidate: ${instance_name}`);
+                return false;
+            }
+            this.detection_override = candidate.instance;
+            this.primary_instance = candidate.instance;
+            this._store_detection_choice(this._get_detection_key(candidate.instance));
+            this.logger.log(`Picked ${instance_name} as primary instance`);
+            return true;
+        }
+
+        /**
+         * Forget the confirmed or overridden choice and pick the primary instance by score again
+         */
+        reset_detection() {
+            this.detection_override = null;
+            this._store_detection_choice(null);
+            if (this.detection_candidates.length > 0) {
+                this.primary_instance = this._pick_detected_instance();
+            }
+        }
+
+        /**
+         * Get placeholder replacements for a given registrar name
+         * @param {string} registrar_name - Name of the registrar
+         * @returns {Object} Object mapping placeholders to their replacements
+         */
+        _get_placeholder_replacements(registrar_name) {
+            const registrar = `${WebpackPatcher.REGISTRAR_PARAMETER}(${JSON.stringify(registrar_name)})`; // names may contain quotes
+            return {
+                [this.placeholders.self]: registrar,
+                [this.placeholders.functions]: `${registrar}.functions`,
+                [this.placeholders.data]: `${registrar}.data`
+            };
+        }
+
+        /**
+         * Add an event listener
+         * @param {string} event - Event name: "webpack_detected", "module_registered", "module_patched", "patch_missed", "patch_conflict", "patch_failed", "chunk_loaded"
+         * @param {Function} callback - Callback function
+         */
+        add_event_listener(event, callback) {
+            if (!this.event_listeners[event]) {
+                this.logger.warn(`Unknown event: ${event}`);
+                return;
+            }
+            this.event_listeners[event].push(callback);
+            this.logger.debug(`Added event listener for: ${event}`);
+        }
+
+        /**
+         * Remove an event listener
+         * @param {string} event - Event name
+         * @param {Function} callback - Callback function to remove
+         */
+        remove_event_listener(event, callback) {
+            if (!this.event_listeners[event]) {
+                return;
+            }
+            const index = this.event_listeners[event].indexOf(callback);
+            if (index > -1) {
+                this.event_listeners[event].splice(index, 1);
+                this.logger.debug(`Removed event listener for: ${event}`);
+            }
+        }
+
+        /**
+         * Emit an event to all listeners
+         * @param {string} event - Event name
+         * @param {...any} args - Arguments to pass to listeners
+         * @private
+         */
+        _emit_event(event, ...args) {
+            if (!this.event_listeners[event]) {
+                return;
+            }
+            for (const listener of this.event_listeners[event]) {
+                try {
+                    listener(...args);
+                } catch (e) {
+                    this.logger.error(`Error in ${event} event listener:`, e);
+                }
+            }
+        }
+
+        /**
+         * Check if a value matches an identifier (supports both strings and RegExp)
+         * @param {string} value - Value to test
+         * @param {string|RegExp} identifier - Pattern to match (substring or regex)
+         * @returns {boolean} True if value matches identifier
+         */
+        _matches_identifier(value, identifier) {
+            if (typeof identifier === 'string') {
+                return value.includes(identifier);
+            } else if (identifier instanceof RegExp) {
+                return identifier.test(value);
+            }
+            return false;
+        }
+
+        /**
+         * Create a registrar object. Its non-enumerable token proves ownership when registering with its name again.
+         * @param {Object} options - Registration options ({data, functions})
+         * @returns {Object} Registrar object: {data, functions, token}
+         */
+        static create_registrar_object(options) {
+            const token = window.crypto?.getRandomValues
+                ? Array.from(window.crypto.getRandomValues(new Uint32Array(4)), n => n.toString(36)).join("")
+                : Math.random().toString(36).substring(2) + Math.random().toString(36).substring(2);
+            const registrar_obj = {
+                data: options.data || {},
+                functions: options.functions || {}
+            };
+            Object.defineProperty(registrar_obj, "token", { value: token, writable: false, enumerable: false, configurable: false });
+            return registrar_obj;
+        }
+
+        /**
+         * Check that a registration may use the registrar object of an existing name
+         * @param {Object} registrar_obj - Registrar object of the name
+         * @param {Object} options - Registration options
+         * @throws {Error} If options.token is not the token of the registrar object
+         */
+        static check_registrar_token(registrar_obj, options) {
+            if (options.token !== registrar_obj.token) {
+                throw new Error(`Registrar name "${options.name}" is taken, pass the token of its registrar object to register more patches with it`);
+            }
+        }
+
+        /**
+         * Register patches to be applied when modules are loaded
+         * @param {Object} options - Registration options
+         * @param {string} options.name - Name of the registrar (used to group patches and create user object)
+         * @param {string} [options.token] - Token of the registrar object, required if the name is already registered
+         * @param {Object} [options.data] - Initial data object for the registrar
+         * @param {Object} [options.functions] - Initial functions object for the registrar
+         * @param {boolean} [options.replace=false] - Replace the patches of an existing registrar with the same name instead of adding to them
+         * @param {boolean} [options.repatch] - Re-patch already executed modules the patches would have matched (default: patcher's repatch_executed option)
+         * @param {boolean} [options.atomic=false] - Default for the atomic option of the patches
+         * @param {boolean} [options.persistent_cache=true] - Default for the persistent_cache option of the patches, false keeps matched modules out of the persistent cache
+         * @param {Array<Object>} patches - Array of patch configurations
+         * @param {Object} [existing_registrar] - Existing registrar object to reuse (for buffer flushing)
+         * @returns {Object} Registrar object with data and functions properties
+         * @throws {Error} If the name is already registered and options.token is not the token of its registrar object
+         */
+        register_patches(options, patches, existing_registrar = null) {
+            const registrar_name = options.name;
+            
+            if (!registrar_name) {
+                throw new Error("Registrar name is required");
+            }
+
+            if (Object.hasOwn(this.registrars, registrar_name) && existing_registrar !== this.registrars[registrar_name]) {
+                WebpackPatcher.check_registrar_token(this.registrars[registrar_name], options);
+            }
+
+            if (options.replace && Object.hasOwn(this.registrars, registrar_name)) {
+                const registrar_obj = this.registrars[registrar_name];
+                if (options.data) {
+                    registrar_obj.data = options.data;
+                }
+                if (options.functions) {
+                    registrar_obj.functions = options.functions;
+                }
+
+                const removed = this._remove_patches(registrar_name);
+                this.logger.debug(`Replacing ${removed.length} patch(es) of ${registrar_name}`);
+            }
+
+            if (!Object.hasOwn(this.registrars, registrar_name)) {
+                const registrar_obj = existing_registrar || WebpackPatcher.create_registrar_object(options);
+                
+                if (this.expose_registrars) {
+                    Object.defineProperty(window.WebpackPatcher.Registrars, registrar_name, {
+                        value: registrar_obj,
+                        writable: false,
+                        enumerable: true,
+                        configurable: true // unregister needs to be able to remove it
+                    });
+                }
+                
+                this.registrars[registrar_name] = registrar_obj;
+                
+                this.logger.debug(`Created new registrar: ${registrar_name}`);
+            }
+
+            const registrar_patch_count = this.patches.filter(p => p._registrar_name === registrar_name).length;
+            const new_patches = patches.map((p, i) => this._create_patch_record(p, registrar_name, registrar_patch_count + i, options));
+            this.patches.push(...new_patches);
+            this.patches.sort((a, b) => b._priority - a._priority || a._order - b._order); // higher priority first, then registration order
+            this.patch_set_version++;
+            new_patches.forEach(patch => this.find_matcher.add(patch));
+            
+            this.logger.debug(`Registered ${patches.length} patch(es) for ${registrar_name}, total patches: ${this.patches.length}`);
+
+            if (this.instances.some(instance => instance.patched_modules.size > 0)) {
+                this._handle_missed_modules(registrar_name, new_patches, options.repatch ?? this.repatch_executed);
+            }
+
+            if (this.eager_validation && this.instances.length > 0) {
+                this._run_validation({ patches: new_patches });
+            }
+
+            if (!this.hooked) {
+                this.hook_webpack();
+            }
+
+            return this.registrars[registrar_name];
+        }
+
+        /**
+         * Remove all patches of a registrar from the patch list
+         * @param {string} registrar_name - Name of the registrar
+         * @returns {Array<Object>} Removed patch records
+         * @private
+         */
+        _remove_patches(registrar_name) {
+            const removed = this.patches.filter(p => p._registrar_name === registrar_name);
+            this.patches = this.patches.filter(p => p._registrar_name !== registrar_name);
+            this.patch_set_version++;
+            removed.forEach(patch => this.find_matcher.remove(patch));
+            return removed;
+        }
+
+        /**
+         * Get the IDs of already executed modules which were patched by the given patches. Their patched code stays in effect.
+         * @param {Array<Object>} patches - Patch records
+         * @returns {Array<string>} Module IDs
+         * @private
+         */
+        _get_still_patched_modules(patches) {
+            const module_ids = new Set();
+            for (const patch of patches) {
+                for (const module_id of patch._report.patched_modules) {
+                    module_ids.add(module_id);
+                }
+            }
+            return [...module_ids];
+        }
+
+        /**
+         * Unregister a registrar and remove all of its patches. Modules which are not executed yet won't be patched by it anymore.
+         * If modules which were already executed still run its patched code, the registrar object is kept so that code keeps working.
+         * @param {string} registrar_name - Name of the registrar
+         * @returns {{removed_patches: number, still_patched_modules: Array<string>}|null} Result, null if the registrar is unknown
+         */
+        unregister(registrar_name) {
+            if (!this.registrars[registrar_name]) {
+                this.logger.warn(`Cannot unregister unknown registrar: ${registrar_name}`);
+                return null;
+            }
+
+            const removed = this._remove_patches(registrar_name);
+            const still_patched_modules = this._get_still_patched_modules(removed);
+            this.disabled_registrars.delete(registrar_name);
+
+            if (still_patched_modules.length > 0) {
+                this.logger.warn(`Unregistered ${registrar_name}, but ${still_patched_modules.length} already executed module(s) remain patched:`, still_patched_modules);
+            } else {
+                if (this.expose_registrars) {
+                    delete window.WebpackPatcher.Registrars[registrar_name];
+                }
+                delete this.registrars[registrar_name];
+                this.logger.debug(`Unregistered ${registrar_name}`);
+            }
+
+            return { removed_patches: removed.length, still_patched_modules };
+        }
+
+        /**
+         * Enable or disable a registrar or a single patch of it. Only affects modules which are not executed yet.
+         * @param {string} registrar_name - Name of the registrar
+         * @param {boolean} enabled - Whether the patches should be applied
+         * @param {number} [patch_index] - Index of the patch within the registrar, toggles the whole registrar if omitted
+         * @returns {{still_patched_modules: Array<string>}|null} Already executed modules which remain patched by the affected patches, null if the registrar or patch is unknown
+         */
+        set_enabled(registrar_name, enabled, patch_index = null) {
+            if (!this.registrars[registrar_name]) {
+                this.logger.warn(`Unknown registrar: ${registrar_name}`);
+                return null;
+            }
+
+            let affected = this.patches.filter(p => p._registrar_name === registrar_name);
+            if (patch_index == null) {
+                if (enabled) {
+                    this.disabled_registrars.delete(registrar_name);
+                } else {
+                    this.disabled_registrars.add(registrar_name);
+                }
+            } else {
+                affected = affected.filter(p => p._index === patch_index);
+                if (affected.length === 0) {
+                    this.logger.warn(`Unknown patch ${patch_index} of registrar ${registrar_name}`);
+                    return null;
+                }
+                affected[0]._enabled = enabled;
+            }
+            this.patch_set_version++;
+
+            this.logger.debug(`${enabled ? "Enabled" : "Disabled"} ${patch_index == null ? "registrar" : `patch ${patch_index} of`} ${registrar_name}`);
+            return { still_patched_modules: this._get_still_patched_modules(affected) };
+        }
+
+        /**
+         * Check if a patch should currently be applied
+         * @param {Object} patch - Patch record
+         * @returns {boolean} True if neither the patch nor its registrar is disabled
+         * @private
+         */
+        _is_patch_enabled(patch) {
+            return patch._enabled && !this.disabled_registrars.has(patch._registrar_name);
+        }
+
+        /**
+         * Hook into webpack by intercepting Function.prototype property setters.
+         * Both configured properties are hooked and the assigned values are told apart by their content,
+         * so runtimes which assign the module map and the cache under each other's name are handled too.
+         */
+        hook_webpack() {
+            if (this.hooked) return;
+
+            const self = this;
+            const original_define_property = Object.defineProperty;
+            const { modules: modules_property, cache: cache_property } = this.webpack_property_names;
+
+            for (const property of new Set([modules_property, cache_property])) {
+                original_define_property(Function.prototype, property, {
+                    enumerable: false,
+                    configurable: true,
+                    set: function(value) {
+                        original_define_property(this, property, { // restore original property
+                            value,
+                            writable: true,
+                            configurable: true
+                        });
+
+                        if (!String(this).includes("exports:{}")) { // default filter which should apply to every site
+                            return;
+                        }
+
+                        const kind = self._classify_runtime_value(value, property);
+                        if (kind === "modules") {
+                            self._handle_module_factories(this, value, property, original_define_property);
+                        } else if (kind === "cache") {
+                            self._handle_cache(this, value, property);
+                        }
+                    },
+                    get: property === cache_property ? function() {
+                        return self.webpack_cache;
+                    } : undefined
+                });
+            }
+
+            this.hooked = true;
+            this.logger.debug("Webpack hooking initialized");
+        }
+
+        /**
+         * Tell apart the module map and the module cache a runtime assigns to its require function.
+         * Module maps (objects or webpack 4 arrays) hold factory functions, caches hold module objects ({exports, ...}).
+         * Empty values, e.g. the module map of a runtime chunk without modules or a fresh cache, are classified by the property name.
+         * @param {any} value - Assigned value
+         * @param {string} property - Name of the property it was assigned to
+         * @returns {"modules"|"cache"|null} Kind of the value, null if it is neither
+         * @private
+         */
+        _classify_runtime_value(value, property) {
+            if (value === null || typeof value !== "object") {
+                return null;
+            }
+
+            let checked = 0;
+            for (const key in value) {
+                const entry = value[key];
+                if (typeof entry === "function") {
+                    return "modules";
+                }
+                if (entry !== null && typeof entry === "object" && "exports" in entry) {
+                    return "cache";
+                }
+                if (++checked >= 20) {
+                    break;
+                }
+            }
+
+            return property === this.webpack_property_names.modules ? "modules" : "cache";
+        }
+
+        /**
+         * Detect the flavour of a webpack runtime from the source of its require function
+         * @param {Function} webpack_require - Webpack require function
+         * @param {string} modules_property - Property the module map was assigned to
+         * @returns {Object} Runtime info: {flavour, modules_property, cache_property, own_cache}
+         * @private
+         */
+        _detect_runtime(webpack_require, modules_property) {
+            const source = String(webpack_require);
+            let flavour = "unknown";
+            if (/\bl:\s*(?:!1|false)\b|\.l\s*=\s*(?:!0|true)\b/.test(source)) {
+                flavour = "webpack4"; // module objects are {i, l, exports}
+            } else if (/void 0\s*!==|!==\s*undefined|\bloaded:/.test(source)) {
+                flavour = "webpack5"; // checks the cache with !== undefined, module objects are {id, loaded, exports} or {exports}
+            }
+            if (this._is_rspack_runtime(webpack_require)) {
+                flavour = "rspack";
+            }
+
+            return {
+                flavour,
+                modules_property,
+                cache_property: null, // set once the runtime assigns its cache
+                own_cache: false // true if the runtime did not expose its cache and executed modules are collected instead
+            };
+        }
+
+        /**
+         * Check if a require function belongs to an rspack runtime. Rspack defines its version (rv) and bundler id (ruid)
+         * on the require function, but only after the module map, so this is only reliable once the runtime finished its setup.
+         * @param {Function} webpack_require - Webpack require function
+         * @returns {boolean} True if the runtime is an rspack runtime
+         * @private
+         */
+        _is_rspack_runtime(webpack_require) {
+            return typeof webpack_require.rv === "function" || (typeof webpack_require.ruid === "string" && webpack_require.ruid.includes("rspack"));
+        }
+
+        /**
+         * Complete the runtime info of an instance once its runtime finished its setup and emit webpack_detected with it.
+         * Called before the first module of the instance executes, or after the script which set up the runtime if none did.
+         * @param {WebpackInstance} instance - Instance
+         * @private
+         */
+        _finish_runtime_detection(instance) {
+            if (instance.runtime_ready) {
+                return;
+            }
+            instance.runtime_ready = true;
+
+            if (instance.runtime.flavour !== "rspack" && this._is_rspack_runtime(instance.webpack_require)) {
+                instance.runtime.flavour = "rspack";
+                this.logger.debug(`Runtime of ${instance.name} is an rspack runtime`);
+            }
+            if (instance.runtime.own_cache) {
+                this.logger.debug(`Runtime of ${instance.name} does not expose its module cache, collecting executed modules instead`);
+            }
+
+            this._emit_event('webpack_detected', instance.webpack_require, instance.module_factories, instance, instance.runtime);
+        }
+
+        /**
+         * Handle the module cache a runtime assigned to its require function
+         * @param {Function} webpack_require - Webpack require function
+         * @param {Object} cache_obj - Module cache
+         * @param {string} property - Property the cache was assigned to
+         * @private
+         */
+        _handle_cache(webpack_require, cache_obj, property) {
+            // the cache belongs to whichever instance the function is (or becomes), the filters are applied to the module factories
+            const instance = this.instances.find(i => i.webpack_require === webpack_require);
+            if (!instance) {
+                this.pending_caches.set(webpack_require, { cache_obj, property });
+                return;
+            }
+            if (instance.webpack_cache && !instance.runtime.own_cache) {
+                this.logger.debug("Cache already detected, skipping duplicate initialization");
+                return;
+            }
+
+            this._set_instance_cache(instance, cache_obj, property);
+            this.logger.debug(`Captured webpack cache object of ${instance.name}`);
+        }
+
+        /**
+         * Use the runtime's module cache for an instance, replacing the collected cache if there was one
+         * @param {WebpackInstance} instance - Instance
+         * @param {Object} cache_obj - Module cache
+         * @param {string} property - Property the cache was assigned to
+         * @private
+         */
+        _set_instance_cache(instance, cache_obj, property) {
+            instance.webpack_cache = cache_obj;
+            instance.runtime.cache_property = property;
+            instance.runtime.own_cache = false;
+        }
+
+        /**
+         * Handle the module map a runtime assigned to its require function: accept the instance if it passes the filters
+         * and wrap its module factories in factory proxies
+         * @param {Function} webpack_require - Webpack require function
+         * @param {Object} module_factories - Module map
+         * @param {string} property - Property the module map was assigned to
+         * @param {Function} original_define_property - Object.defineProperty as it was when hooking
+         * @private
+         */
+        _handle_module_factories(webpack_require, module_factories, property, original_define_property) {
+            const self = this;
+
+            if ((this.instances.length > 0 && !this.multiple_instances) || this.instances.some(i => i.webpack_require === webpack_require)) {
+                // this.logger.debug("Webpack already detected, skipping duplicate initialization");
+                return;
+            }
+
+            const stack = new Error().stack;
+            const stack_lines = stack?.split('\n') || [];
+
+            if (this.filter_func && !this.filter_func(webpack_require, stack_lines)) {
+                return;
+            }
+
+            const instance = this._create_instance(webpack_require, module_factories, stack_lines, property);
+
+            const module_count = Object.keys(module_factories).length;
+            this.logger.debug(`Detected ${instance.runtime.flavour} module factory assignment of ${instance.name} (with ${module_count} modules)`);
+
+            this._get_evaluation(); // fail at detection time instead of for every module
+
+            if (this.eager_validation) {
+                this._run_validation({ instance });
+            }
+
+            if (this.on_detect) {
+                try {
+                    this.on_detect(webpack_require, module_factories, instance);
+                } catch (e) {
+                    this.logger.error("Error in on_detect callback:", e);
+                }
+            }
+
+            // intercept new factory registrations
+            const proxied_factories = new Proxy(module_factories, {
+                set(target, module_id, factory) {
+                    // Track registration count
+                    // const count = (self.module_registration_count.get(module_id) || 0) + 1;
+                    // self.module_registration_count.set(module_id, count);
+                    
+                    // if (count > 1) {
+                    //     self.logger.warn(`Module ${module_id} registered ${count} times (possible HMR or duplicate registration)`);
+                    // }
+
+                    self._emit_event('module_registered', module_id, factory, instance);
+
+                    // intercept execution using helper
+                    const factory_proxy = self._create_factory_proxy(instance, module_id, factory);
+                    
+                    target[module_id] = factory_proxy;
+                    return true;
+                },
+                
+
+                get(target, prop, receiver) {
+                    const value = Reflect.get(target, prop, receiver);
+                    
+
+                    // if the value is a proxied factory, return the inner value for direct access
+                    if (value?.[WebpackPatcher.SYM_PROXY_INNER_GET]) {
+                        return value[WebpackPatcher.SYM_PROXY_INNER_VALUE];
+                    }
+                    
+
+                    return value;
+                }
+            });
+
+            original_define_property(webpack_require, property, {
+                value: proxied_factories,
+                writable: true,
+                configurable: true
+            });
+
+            // wrap all pre-existing modules.
+            // i don't think we need to worry about the webpack cache here, as it should be empty at this point
+            for (const module_id in module_factories) {
+                const factory = module_factories[module_id];
+                const factory_proxy = this._create_factory_proxy(instance, module_id, factory);
+                module_factories[module_id] = factory_proxy;
+            }
+            
+            this.logger.debug(`Wrapped ${module_count} pre-existing modules in factory proxies`);
+
+            // the runtime creates the chunk array and its remaining helpers after assigning the module factories, so check again once it's done
+            this._hook_chunk_globals();
+            setTimeout(() => {
+                this._hook_chunk_globals();
+                this._finish_runtime_detection(instance);
+            }, 0);
+        }
+
+        /**
+         * Get cached or compute factory string
+         * @param {WebpackInstance} instance - Instance the module belongs to
+         * @param {string} module_id - Module ID for cache key
+         * @param {Function} factory - Factory function
+         * @returns {string} Factory as string
+         */
+        _get_factory_string(instance, module_id, factory) {
+            if (this.cache_enabled && instance.factory_string_cache.has(module_id)) {
+                this.logger.debug(`Using cached factory string for module ${module_id} (cache hit)`);
+                return instance.factory_string_cache.get(module_id);
+            }
+            
+            const factory_str = factory.toString();
+            
+            if (this.cache_enabled) {
+                instance.factory_string_cache.set(module_id, factory_str);
+            }
+            
+            return factory_str;
+        }
+
+        /**
+         * Check if module matches pattern
+         * @param {string} factory_str - Factory string
+         * @param {Object} patch - Patch configuration, the compiled find (_find) is used if present
+         * @returns {boolean} True if matches
+         */
+        _check_pattern_match(factory_str, patch) {
+            const find = patch._find ?? patch.find;
+            const finds = Array.isArray(find) ? find : [find];
+            
+            return finds.some(pattern => this._matches_identifier(factory_str, pattern));
+        }
+
+        /**
+         * Compile the shorthands of a find/match pattern into a real RegExp. Strings are returned as is.
+         * Supported shorthands (outside of character classes):
+         * - \i - any JS identifier, e.g. a minified variable name like e, $t or _a1
+         * @param {string|RegExp|Array<string|RegExp>} pattern - Pattern(s)
+         * @returns {string|RegExp|Array<string|RegExp>} Compiled pattern(s)
+         */
+        _compile_pattern(pattern) {
+            if (Array.isArray(pattern)) {
+                return pattern.map(p => this._compile_pattern(p));
+            }
+            if (!(pattern instanceof RegExp) || !pattern.source.includes("\\i")) {
+                return pattern;
+            }
+
+            const { source } = pattern;
+            let compiled = "";
+            let in_class = false;
+            for (let i = 0; i < source.length; i++) {
+                const char = source[i];
+                if (char === "\\") {
+                    const next = source[i + 1] ?? "";
+                    compiled += next === "i" && !in_class ? WebpackPatcher.IDENTIFIER_PATTERN : char + next;
+                    i++;
+                    continue;
+                }
+                if (char === "[") {
+                    in_class = true;
+                } else if (char === "]") {
+                    in_class = false;
+                }
+                compiled += char;
+            }
+
+            return new RegExp(compiled, pattern.flags);
+        }
+
+        /**
+         * Create the internal record of a registered patch, which also carries its diagnostics report
+         * @param {Object} patch - Patch configuration as passed to register_patches
+         * @param {string} registrar_name - Name of the registrar the patch belongs to
+         * @param {number} index - Index of the patch within its registrar
+         * @param {Object} [registrar_options] - Registration options, provides defaults for patch options
+         * @returns {Object} Patch record
+         * @private
+         */
+        _create_patch_record(patch, registrar_name, index, registrar_options = {}) {
+            const replacement_count = Array.isArray(patch.replacements) ? patch.replacements.length : 0;
+            return {
+                ...patch,
+                _find: this._compile_pattern(patch.find),
+                _replacements: Array.isArray(patch.replacements)
+                    ? patch.replacements.map(replacement => this._compile_replacement(replacement))
+                    : patch.replacements,
+                _registrar_name: registrar_name,
+                _index: index,
+                _enabled: patch.enabled !== false,
+                _priority: patch.priority || 0,
+                _atomic: patch.atomic ?? registrar_options.atomic ?? false,
+                _instance: patch.instance ?? registrar_options.instance ?? null, // instance name or predicate, null for all instances
+                _cacheable: patch.persistent_cache ?? registrar_options.persistent_cache ?? true,
+                _order: this.patch_sequence++,
+                _report: {
+                    matched_modules: new Set(), // modules whose source matched the find
+                    patched_modules: new Set(), // modules which were successfully patched
+                    replacement_hits: Array.from({ length: replacement_count }, () => new Map()), // module_id -> hit count
+                    skipped_modules: Array.from({ length: replacement_count }, () => new Set()), // matched modules where the replacement did not match
+                    failures: [], // {module_id, error, message, patched_code} for patched code which could not be evaluated and discarded atomic patches
+                    execution_errors: [] // {module_id, error, message} for patched modules which threw while executing, see safe_execution
+                },
+                _validation: new Map() // module key -> {replacement_hits, error} of every module the find matched, see validate_patches
+            };
+        }
+
+        /**
+         * Compile a replacement: the shorthands of its match, or its structured operation (insert_before, insert_after, wrap_body, replace_block)
+         * into a CodeOperation match and the replace function it needs
+         * @param {Object} replacement - Replacement configuration
+         * @returns {Object} Replacement with compiled match and replace
+         * @private
+         */
+        _compile_replacement(replacement) {
+            const operation = CodeOperation.from_replacement(replacement, pattern => this._compile_pattern(pattern));
+            return operation
+                ? { ...replacement, ...operation }
+                : { ...replacement, match: this._compile_pattern(replacement.match) };
+        }
+
+        /**
+         * Convert a find/match pattern to a readable representation for reports
+         * @param {string|RegExp|Array<string|RegExp>} pattern - Pattern
+         * @returns {string|Array<string>} Readable pattern
+         * @private
+         */
+        _describe_pattern(pattern) {
+            if (Array.isArray(pattern)) {
+                return pattern.map(p => this._describe_pattern(p));
+            }
+            return typeof pattern === "string" ? pattern : String(pattern);
+        }
+
+        /**
+         * Get a structured report of what every registered patch did so far
+         * @param {string} [registrar_name] - Only report patches of this registrar
+         * @returns {Object} Report object: {[registrar_name]: {patches: Array<Object>, never_matched: Array<number>}}, or a single registrar's entry (null if unknown) when registrar_name is given
+         */
+        get_patch_report(registrar_name = null) {
+            const report = {};
+
+            for (const patch of this.patches) {
+                if (registrar_name != null && patch._registrar_name !== registrar_name) {
+                    continue;
+                }
+
+                if (!report[patch._registrar_name]) {
+                    report[patch._registrar_name] = { patches: [], never_matched: [], faulty: [] };
+                }
+                const entry = report[patch._registrar_name];
+                const { _report: patch_report } = patch;
+                const never_matched = patch_report.matched_modules.size === 0;
+
+                entry.patches.push({
+                    index: patch._index,
+                    enabled: this._is_patch_enabled(patch),
+                    find: this._describe_pattern(patch.find),
+                    instance: typeof patch._instance === "function" ? "<predicate>" : patch._instance,
+                    matched_modules: [...patch_report.matched_modules],
+                    patched_modules: [...patch_report.patched_modules],
+                    replacements: (patch.replacements || []).map((replacement, i) => ({
+                        index: i,
+                        match: this._describe_pattern(replacement.match ?? patch._replacements[i].match), // structured operations have no match
+                        total_hits: [...patch_report.replacement_hits[i].values()].reduce((sum, hits) => sum + hits, 0),
+                        hits: Object.fromEntries(patch_report.replacement_hits[i]),
+                        skipped_modules: [...patch_report.skipped_modules[i]]
+                    })),
+                    failures: patch_report.failures.map(failure => ({ ...failure })),
+                    execution_errors: patch_report.execution_errors.map(execution_error => ({ ...execution_error })),
+                    faulty: patch_report.execution_errors.length > 0,
+                    never_matched
+                });
+
+                if (never_matched) {
+                    entry.never_matched.push(patch._index);
+                }
+                if (patch_report.execution_errors.length > 0) {
+                    entry.faulty.push(patch._index);
+                }
+            }
+
+            if (registrar_name != null) {
+                return report[registrar_name] || null;
+            }
+            return report;
+        }
+
+        /**
+         * Validate patches against the original code of every known module without evaluating or installing anything:
+         * the replacements are applied to the code of every module the find matches and the result is only parsed.
+         * Results are kept per patch and module, so validating a module again replaces its earlier result.
+         * @param {Object} [options] - Validation options
+         * @param {string|Function} [options.instance] - Only validate modules of matching instances (name or predicate), all instances if omitted
+         * @param {Array<string>} [options.module_ids] - Only validate these modules, e.g. the modules of a new chunk
+         * @param {Array<Object>} [options.patches] - Only validate these patch records, all enabled patches if omitted
+         * @returns {Object} Validation report, see get_validation_report
+         */
+        validate_patches(options = {}) {
+            const patches = (options.patches || this.patches).filter(patch => this._is_patch_enabled(patch));
+
+            for (const instance of this._select_instances(options.instance ?? null)) {
+                const instance_patches = patches.filter(patch => this._patch_targets_instance(patch, instance));
+                const module_factories = instance.module_factories || {};
+                if (instance_patches.length === 0) {
+                    continue;
+                }
+
+                for (const module_id of options.module_ids || Object.keys(module_factories)) {
+                    const factory_str = module_id in module_factories ? this._get_original_factory_string(module_id, instance) : null;
+                    if (factory_str == null) {
+                        continue;
+                    }
+
+                    const candidates = this.fast_matching ? this.find_matcher.match(factory_str) : null; // not _match_finds, validating is not part of the matching metrics
+                    for (const patch of instance_patches) {
+                        if (!(candidates ? candidates.has(patch) : this._check_pattern_match(factory_str, patch))) {
+                            continue;
+                        }
+
+                        const preview = this._preview_patch(instance, module_id, {
+                            find: patch._find,
+                            replacements: patch._replacements,
+                            atomic: patch._atomic,
+                            registrar_name: patch._registrar_name
+                        });
+                        const error = preview.error ?? (preview.patched_code === null ? "No replacements occurred" : null);
+                        patch._validation.set(this._get_module_key(instance, module_id), { replacement_hits: preview.replacement_hits, error });
+                    }
+                }
+            }
+
+            return this.get_validation_report();
+        }
+
+        /**
+         * Validate patches and log the problems, used by eager_validation
+         * @param {Object} options - Validation options, see validate_patches
+         * @private
+         */
+        _run_validation(options) {
+            try {
+                const report = this.validate_patches(options);
+                for (const [registrar_name, entry] of Object.entries(report)) {
+                    for (const patch of entry.patches) {
+                        for (const { module_id, error } of patch.errors) {
+                            this.logger.warn(`Validation: patch ${patch.index} of ${registrar_name} fails for module ${module_id}: ${error}`);
+                        }
+                    }
+                }
+            } catch (e) {
+                this.logger.error("Error while validating patches:", e);
+            }
+        }
+
+        /**
+         * Get a pass/fail summary of all validation results so far, see validate_patches.
+         * A patch fails if it produced an error for any module, never matched a module or has a replacement which never matched.
+         * Patches of lazily loaded chunks only match once their chunk was loaded (see load_lazy_chunks).
+         * @param {string} [registrar_name] - Only report patches of this registrar
+         * @returns {Object} Report object: {[registrar_name]: {ok, failed: Array<number>, patches: Array<{index, enabled, find, ok, matched_modules, replacement_hits, unmatched_replacements, errors}>}},
+         *     or a single registrar's entry (null if unknown) when registrar_name is given. Disabled patches never fail.
+         */
+        get_validation_report(registrar_name = null) {
+            const report = {};
+
+            for (const patch of this.patches) {
+                if (registrar_name != null && patch._registrar_name !== registrar_name) {
+                    continue;
+                }
+
+                if (!report[patch._registrar_name]) {
+                    report[patch._registrar_name] = { ok: true, failed: [], patches: [] };
+                }
+                const entry = report[patch._registrar_name];
+                const enabled = this._is_patch_enabled(patch);
+                const replacement_count = Array.isArray(patch._replacements) ? patch._replacements.length : 0;
+                const replacement_hits = Array(replacement_count).fill(0);
+                const errors = [];
+
+                for (const [module_id, result] of patch._validation) {
+                    result.replacement_hits.forEach((hits, i) => replacement_hits[i] += hits);
+                    if (result.error) {
+                        errors.push({ module_id, error: result.error });
+                    }
+                }
+
+                const unmatched_replacements = patch._validation.size > 0
+                    ? replacement_hits.flatMap((hits, i) => hits === 0 ? [i] : [])
+                    : [];
+                const ok = !enabled || (patch._validation.size > 0 && errors.length === 0 && unmatched_replacements.length === 0);
+
+                entry.patches.push({
+                    index: patch._index,
+                    enabled,
+                    find: this._describe_pattern(patch.find),
+                    ok,
+                    matched_modules: [...patch._validation.keys()],
+                    replacement_hits,
+                    unmatched_replacements,
+                    errors
+                });
+                if (!ok) {
+                    entry.ok = false;
+                    entry.failed.push(patch._index);
+                }
+            }
+
+            if (registrar_name != null) {
+                return report[registrar_name] || null;
+            }
+            return report;
+        }
+
+        /**
+         * Serialize a find/match pattern for JSON
+         * @param {string|RegExp|Array<string|RegExp>} pattern - Pattern(s)
+         * @returns {string|Object|Array} Strings as is, RegExps as {source, flags}, structured operations as their anchor
+         * @private
+         */
+        _serialize_pattern(pattern) {
+            if (Array.isArray(pattern)) {
+                return pattern.map(p => this._serialize_pattern(p));
+            }
+            if (pattern instanceof CodeOperation) {
+                return this._serialize_pattern(pattern.anchor);
+            }
+            return pattern instanceof RegExp ? { source: pattern.source, flags: pattern.flags } : pattern;
+        }
+
+        /**
+         * Export the original source of every known module as a JSON serializable snapshot, to compare builds offline (see tools/diff_snapshots.js).
+         * Modules of chunks which were not loaded yet are missing, load them first with load_lazy_chunks if needed.
+         * @param {Object} [options] - Dump options
+         * @param {string|Function} [options.instance] - Only dump matching instances (name or predicate), all instances if omitted
+         * @param {boolean} [options.include_patches=true] - Include the registered patches (compiled finds and matches)
+         * @returns {Object} Snapshot: {format, patcher_version, created_at, url, instances: Array<{name, key, script, flavour, module_count, modules}>, patches}
+         */
+        dump_modules(options = {}) {
+            const include_patches = options.include_patches !== undefined ? options.include_patches : true;
+            const instances = this._select_instances(options.instance ?? null).map(instance => {
+                const modules = {};
+                for (const module_id of Object.keys(instance.module_factories || {})) {
+                    const factory_str = this._get_original_factory_string(module_id, instance);
+                    if (factory_str != null) {
+                        modules[module_id] = factory_str;
+                    }
+                }
+                return {
+                    name: instance.name,
+                    key: this._get_detection_key(instance), // file name without content hashes, stays the same across builds
+                    script: instance.script,
+                    flavour: instance.runtime.flavour,
+                    module_count: Object.keys(modules).length,
+                    modules
+                };
+            });
+
+            return {
+                format: 1,
+                patcher_version: WebpackPatcher.VERSION,
+                created_at: new Date().toISOString(),
+                url: location.href,
+                instances,
+                patches: include_patches ? this.patches.map(patch => ({
+                    registrar_name: patch._registrar_name,
+                    index: patch._index,
+                    enabled: this._is_patch_enabled(patch),
+                    find: this._serialize_pattern(patch._find),
+                    replacements: (Array.isArray(patch._replacements) ? patch._replacements : []).map(replacement => ({
+                        match: this._serialize_pattern(replacement.match),
+                        operation: replacement.match instanceof CodeOperation ? replacement.match.type : null,
+                        global: replacement.global ?? false,
+                        count: replacement.count ?? null,
+                        min: replacement.min ?? null,
+                        max: replacement.max ?? null
+                    }))
+                })) : []
+            };
+        }
+
+        /**
+         * Save a snapshot of all modules as a JSON file, see dump_modules
+         * @param {Object} [options] - Dump options, see dump_modules
+         * @returns {Object} The snapshot
+         */
+        download_module_dump(options = {}) {
+            const snapshot = this.dump_modules(options);
+            const url = URL.createObjectURL(new Blob([JSON.stringify(snapshot)], { type: "application/json" }));
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = `webpack-modules-${location.hostname}-${snapshot.created_at.slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            this.logger.log(`Saved ${snapshot.instances.reduce((sum, instance) => sum + instance.module_count, 0)} module(s) as ${link.download}`);
+            return snapshot;
+        }
+
+        /**
+         * Get the patched factory for a module, patching it lazily if needed
+         * @param {WebpackInstance} instance - Instance the module belongs to
+         * @param {string} module_id - Module ID
+         * @param {Function} factory - Original factory function
+         * @returns {Function} Patched factory or original if no patches match
+         */
+        _get_or_patch_factory(instance, module_id, factory) {
+            if (factory[WebpackPatcher.SYM_ORIGINAL_FACTORY] != null) {
+                return factory;
+            }
+            
+            if (instance.patched_modules.has(module_id)) {
+                return factory;
+            }
+
+            if (this._get_evaluation().strategy === null) {
+                return factory; // reported once by _detect_evaluation
+            }
+
+            const patched_factory = this._patch_factory(instance, module_id, factory);
+            instance.patched_modules.add(module_id);
+            return patched_factory;
+        }
+
+        /**
+         * Apply all matching, enabled patches to a factory
+         * @param {WebpackInstance} instance - Instance the module belongs to
+         * @param {string} module_id - Module ID
+         * @param {Function} factory - Original factory function
+         * @returns {Function} Patched factory or original if no patches match
+         * @private
+         */
+        _patch_factory(instance, module_id, factory) {
+            const factory_str = this._get_factory_string(instance, module_id, factory);
+            const module_key = this._get_module_key(instance, module_id);
+            let current_factory = factory;
+            let current_factory_str = factory_str;
+            let any_patches_applied = false;
+            const history = []; // {patch, factory_str} for every applied patch, factory_str being the code before it was applied
+            const source_map = this.source_maps && this._get_evaluation().strategy !== "function" ? this._create_source_map_state(factory_str, module_key) : null;
+            const cache_key = this.persistent_cache ? this._get_persistent_cache_key(instance, factory_str) : null;
+            const cache_record = cache_key !== null ? this.persistent_cache_entries.get(cache_key) : undefined;
+            let from_cache = false;
+
+            if (cache_record) {
+                const cached_factory = this._apply_persistent_cache_record(cache_record, factory, module_key);
+                if (cached_factory) {
+                    from_cache = true;
+                    current_factory = cached_factory;
+                    any_patches_applied = cached_factory !== factory;
+                    this.persistent_cache_used.set(cache_key, cache_record);
+                    this._schedule_persistent_cache_save();
+                } else {
+                    this.persistent_cache_entries.delete(cache_key);
+                }
+            }
+            
+            const candidates = from_cache ? null : this._match_finds(factory_str); // patches whose find matches the unmodified code
+            const outcome = []; // [patch key, replacement hits or null] for every matching patch, stored in the persistent cache
+            const conflict_count = this.conflicts.length;
+            let cacheable = cache_key !== null && !from_cache;
+            
+            for (let i = 0; i < this.patches.length && !from_cache; i++) {
+                const patch = this.patches[i];
+                
+                if (!this._is_patch_enabled(patch) || !this._patch_targets_instance(patch, instance)) {
+                    continue;
+                }
+
+                // once a patch changed the code, later finds have to be tested against the changed code
+                const matches = history.length === 0 ? candidates.has(patch) : this._check_pattern_match(current_factory_str, patch);
+                if (!matches) {
+                    if (history.length > 0) {
+                        this._detect_conflict(module_key, patch, null, current_factory_str, history);
+                    }
+                    continue;
+                }
+
+                // this.logger.debug(`Module ${module_id} matches patch ${i + 1}/${this.patches.length}`);
+                patch._report.matched_modules.add(module_key);
+                const failure_count = patch._report.failures.length;
+                
+                const patch_result = this._apply_patch(current_factory, current_factory_str, patch, module_key, history, source_map);
+                const applied = patch_result.factory !== current_factory;
+                
+                if (applied) {
+                    history.push({ patch, factory_str: current_factory_str });
+                    current_factory = patch_result.factory;
+                    current_factory_str = patch_result.factory_str;
+                    any_patches_applied = true;
+                    
+                    // this.logger.debug(`Applied patch ${i + 1} to module ${module_id}`);
+                }
+
+                outcome.push([this._get_patch_key(patch), applied ? patch._replacements.map((_, j) => patch._report.replacement_hits[j].get(module_key) || 0) : null]);
+                if (!patch._cacheable || patch._report.failures.length !== failure_count) {
+                    cacheable = false; // failures should show up again on the next load
+                }
+            }
+
+            if (cacheable && this.conflicts.length === conflict_count) { // conflicts are only detected while patching
+                const record = { p: any_patches_applied ? current_factory_str : null, m: outcome };
+                this.persistent_cache_entries.set(cache_key, record);
+                this.persistent_cache_used.set(cache_key, record);
+                this._schedule_persistent_cache_save();
+            }
+            
+            if (any_patches_applied) {
+                current_factory[WebpackPatcher.SYM_ORIGINAL_FACTORY] = factory;
+                instance.module_factories[module_id] = current_factory;
+                this._emit_event('module_patched', module_id, current_factory, factory, instance);
+            }
+            
+            return current_factory;
+        }
+
+        /**
+         * Get all patches whose find matches a module's code, with the find matcher or by testing every patch if fast_matching is disabled.
+         * Disabled patches and patches of other instances are included.
+         * @param {string} factory_str - Module code
+         * @returns {Set<Object>} Matching patch records
+         * @private
+         */
+        _match_finds(factory_str) {
+            const start = performance.now();
+            const matched = this.fast_matching
+                ? this.find_matcher.match(factory_str)
+                : new Set(this.patches.filter(patch => this._check_pattern_match(factory_str, patch)));
+            this.match_metrics.time += performance.now() - start;
+            this.match_metrics.modules++;
+            this.match_metrics.matched += matched.size;
+            return matched;
+        }
+
+        /**
+         * Get timing metrics of the matching stage (testing the finds of all patches against a module's unmodified code)
+         * @returns {Object} Metrics: {fast_matching, modules, time_ms, average_ms, matched_patches, patches, string_finds, regex_finds}
+         */
+        get_match_metrics() {
+            const { modules, time, matched } = this.match_metrics;
+            return {
+                fast_matching: this.fast_matching,
+                modules,
+                time_ms: time,
+                average_ms: modules > 0 ? time / modules : 0,
+                matched_patches: matched,
+                patches: this.patches.length,
+                string_finds: this.find_matcher.string_finds.size,
+                regex_finds: this.find_matcher.regex_finds.size
+            };
+        }
+
+        /**
+         * Compare the find matcher against testing every patch on its own, using the original code of all known modules.
+         * Both have to return the same patches, modules where they don't are listed in mismatches.
+         * @param {string|Function} [instance] - Only use modules of matching instances (name or predicate), all instances if omitted
+         * @returns {Object} Result: {modules, patches, naive_ms, matcher_ms, speedup, mismatches: Array<string>}
+         */
+        benchmark_matching(instance = null) {
+            const modules = [];
+            for (const target of this._select_instances(instance)) {
+                for (const module_id of Object.keys(target.module_factories || {})) {
+                    const factory_str = this._get_original_factory_string(module_id, target);
+                    if (factory_str != null) {
+                        modules.push([this._get_module_key(target, module_id), factory_str]);
+                    }
+                }
+            }
+
+            let start = performance.now();
+            const naive = modules.map(([_, factory_str]) => this.patches.filter(patch => this._check_pattern_match(factory_str, patch)));
+            const naive_ms = performance.now() - start;
+
+            start = performance.now();
+            const fast = modules.map(([_, factory_str]) => this.find_matcher.match(factory_str));
+            const matcher_ms = performance.now() - start;
+
+            const mismatches = modules
+                .filter((_, i) => naive[i].length !== fast[i].size || naive[i].some(patch => !fast[i].has(patch)))
+                .map(([module_key]) => module_key);
+
+            return {
+                modules: modules.length,
+                patches: this.patches.length,
+                naive_ms,
+                matcher_ms,
+                speedup: matcher_ms > 0 ? naive_ms / matcher_ms : null,
+                mismatches
+            };
+        }
+
+        /**
+         * Hash a string (cyrb53), used for the persistent cache keys
+         * @param {string} str - String to hash
+         * @returns {string} Hash in base 36, prefixed with the length of the string
+         * @private
+         */
+        _hash_string(str) {
+            let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+            for (let i = 0; i < str.length; i++) {
+                const ch = str.charCodeAt(i);
+                h1 = Math.imul(h1 ^ ch, 2654435761);
+                h2 = Math.imul(h2 ^ ch, 1597334677);
+            }
+            h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+            h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+            return `${str.length.toString(36)}.${(4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36)}`;
+        }
+
+        /**
+         * Get the key identifying a patch in persistent cache records
+         * @param {Object} patch - Patch record
+         * @returns {string} "registrar#index"
+         * @private
+         */
+        _get_patch_key(patch) {
+            return `${patch._registrar_name}#${patch._index}`;
+        }
+
+        /**
+         * Describe everything about a patch which influences the patched code.
+         * Functions are described by their source, so replacements have to be deterministic for the persistent cache to be correct.
+         * @param {Object} patch - Patch record
+         * @returns {string} Signature of the patch
+         * @private
+         */
+        _get_patch_signature(patch) {
+            const describe = (value) => {
+                if (value instanceof RegExp || value instanceof CodeOperation || typeof value === "function") return value.toString();
+                if (Array.isArray(value)) return value.map(describe);
+                return value ?? null;
+            };
+            const replacements = Array.isArray(patch._replacements) ? patch._replacements : [];
+            return JSON.stringify([
+                this._get_patch_key(patch),
+                describe(patch._find),
+                patch._atomic,
+                replacements.map(r => [describe(r.match), describe(r.replace), r.global ?? false, r.count ?? null, r.min ?? null, r.max ?? null, describe(r.code), r.before ?? null, r.after ?? null])
+            ]).replaceAll(this.placeholder_id, ""); // the placeholders differ on every load
+        }
+
+        /**
+         * Get the hash of all enabled patches applying to an instance, in the order they are applied
+         * @param {WebpackInstance} instance - Instance
+         * @returns {string} Hash of the active patch set
+         * @private
+         */
+        _get_patch_set_hash(instance) {
+            const cached = this.patch_set_hashes.get(instance);
+            if (cached?.version === this.patch_set_version) {
+                return cached.hash;
+            }
+
+            const signature = this.patches
+                .filter(patch => this._is_patch_enabled(patch) && this._patch_targets_instance(patch, instance))
+                .map(patch => this._get_patch_signature(patch))
+                .join("\n");
+            const hash = this._hash_string(signature);
+            this.patch_set_hashes.set(instance, { version: this.patch_set_version, hash });
+            return hash;
+        }
+
+        /**
+         * Get the persistent cache key of a module: the hash of its original source plus the hash of the active patch set
+         * @param {WebpackInstance} instance - Instance the module belongs to
+         * @param {string} factory_str - Original factory code
+         * @returns {string} Cache key
+         * @private
+         */
+        _get_persistent_cache_key(instance, factory_str) {
+            return `${this._hash_string(factory_str)}:${this._get_patch_set_hash(instance)}`;
+        }
+
+        /**
+         * Restore a module's patch outcome from a persistent cache record: evaluate the cached code and fill the patch reports
+         * @param {Object} record - Cache record: {p: patched code or null, m: Array<[patch key, replacement hits or null]>}
+         * @param {Function} factory - Original factory function
+         * @param {string} module_key - Module key
+         * @returns {Function|null} Patched factory, the original one if no patch applied, or null if the record can't be used
+         * @private
+         */
+        _apply_persistent_cache_record(record, factory, module_key) {
+            const matched = [];
+            for (const [patch_key, hits] of record.m) {
+                const patch = this.patches.find(p => this._get_patch_key(p) === patch_key);
+                if (!patch || (hits && hits.length !== patch._replacements.length)) {
+                    return null;
+                }
+                matched.push([patch, hits]);
+            }
+
+            let patched_factory = factory;
+            if (record.p !== null) {
+                try {
+                    patched_factory = this._evaluate_patched_code(record.p, module_key);
+                } catch (e) {
+                    this.logger.warn(`Cached patched code of module ${module_key} could not be evaluated, patching it again:`, e);
+                    return null;
+                }
+            }
+
+            for (const [patch, hits] of matched) {
+                const report = patch._report;
+                report.matched_modules.add(module_key);
+                if (!hits) continue;
+
+                report.patched_modules.add(module_key);
+                hits.forEach((count, i) => {
+                    if (count > 0) {
+                        report.replacement_hits[i].set(module_key, count);
+                    } else if (this._check_replacement_count(patch._replacements[i], 0)) {
+                        report.skipped_modules[i].add(module_key);
+                    }
+                });
+            }
+            return patched_factory;
+        }
+
+        /**
+         * Load the persistent cache from localStorage, discarding it if it was written by another version
+         * @returns {Map<string, Object>} Cache key -> record
+         * @private
+         */
+        _load_persistent_cache() {
+            try {
+                const stored = JSON.parse(window.localStorage.getItem(WebpackPatcher.PERSISTENT_CACHE_KEY));
+                if (stored?.format === WebpackPatcher.PERSISTENT_CACHE_FORMAT && stored.version === WebpackPatcher.VERSION) {
+                    return new Map(Object.entries(stored.entries));
+                }
+            } catch (e) {
+                this.logger.warn("Could not load the persistent cache:", e);
+            }
+            return new Map();
+        }
+
+        /**
+         * Save the persistent cache shortly after the last change, modules are usually registered in bursts
+         * @private
+         */
+        _schedule_persistent_cache_save() {
+            clearTimeout(this.persistent_cache_save_timeout);
+            this.persistent_cache_save_timeout = setTimeout(() => this._save_persistent_cache(), 2000);
+        }
+
+        /**
+         * Save the entries used or created during this page load. Everything else belongs to old builds or patch sets and is dropped.
+         * If the storage is full, only the outcomes of modules no patch applied to are kept.
+         * @returns {boolean} True if the cache could be saved
+         * @private
+         */
+        _save_persistent_cache() {
+            this.persistent_cache_save_timeout = null;
+            const save = (entries) => window.localStorage.setItem(WebpackPatcher.PERSISTENT_CACHE_KEY, JSON.stringify({
+                format: WebpackPatcher.PERSISTENT_CACHE_FORMAT,
+                version: WebpackPatcher.VERSION,
+                entries: Object.fromEntries(entries)
+            }));
+
+            try {
+                save(this.persistent_cache_used);
+                this.logger.debug(`Saved ${this.persistent_cache_used.size} persistent cache entries`);
+                return true;
+            } catch (e) {
+                try {
+                    save([...this.persistent_cache_used].filter(([_, record]) => record.p === null));
+                    this.logger.warn("Persistent cache is too large for localStorage, only saved modules without patches:", e);
+                    return true;
+                } catch (e) {
+                    this.logger.warn("Could not save the persistent cache:", e);
+                    return false;
+                }
+            }
+        }
+
+        /**
+         * Clear the persistent cache, in memory and in localStorage. Modules which are already patched are not affected.
+         */
+        clear_persistent_cache() {
+            clearTimeout(this.persistent_cache_save_timeout);
+            this.persistent_cache_save_timeout = null;
+            this.persistent_cache_entries.clear();
+            this.persistent_cache_used.clear();
+            try {
+                window.localStorage.removeItem(WebpackPatcher.PERSISTENT_CACHE_KEY);
+            } catch (e) {
+                this.logger.warn("Could not clear the persistent cache:", e);
+            }
+            this.logger.log("Cleared the persistent cache");
+        }
+
+        /**
+         * Check if a single pattern matches a string, ignoring the global flag/lastIndex of RegExps
+         * @param {string} value - Value to test
+         * @param {string|RegExp} pattern - Substring or regex
+         * @returns {boolean} True if the pattern matches
+         * @private
+         */
+        _pattern_matches(value, pattern) {
+            return typeof pattern === "string" ? value.includes(pattern) : value.search(pattern) !== -1;
+        }
+
+        /**
+         * Check if a find or replacement which did not match would have matched before an earlier patch changed the module.
+         * If so, record a conflict against that patch and emit patch_conflict.
+         * @param {string} module_id - Module ID
+         * @param {Object} patch - Patch record which did not match
+         * @param {number|null} replacement_index - Index of the replacement which did not match, null if the patch's find did not match
+         * @param {string} current_factory_str - Code the patch/replacement was tested against
+         * @param {Array<Object>} history - {patch, factory_str} of every patch applied before, factory_str being the code before it was applied
+         * @private
+         */
+        _detect_conflict(module_id, patch, replacement_index, current_factory_str, history) {
+            const matches = replacement_index == null
+                ? (code) => this._check_pattern_match(code, patch)
+                : (code) => this._pattern_matches(code, patch._replacements[replacement_index].match);
+
+            for (let i = 0; i < history.length; i++) {
+                const code_after = i + 1 < history.length ? history[i + 1].factory_str : current_factory_str;
+                if (!matches(history[i].factory_str) || matches(code_after)) {
+                    continue;
+                }
+
+                const culprit = history[i].patch;
+                if (culprit._registrar_name === patch._registrar_name) {
+                    return;
+                }
+
+                const conflict = {
+                    module_id,
+                    registrar_name: patch._registrar_name,
+                    patch_index: patch._index,
+                    replacement_index,
+                    conflicting_registrar_name: culprit._registrar_name,
+                    conflicting_patch_index: culprit._index
+                };
+                this.conflicts.push(conflict);
+                this.logger.warn(`Patch conflict in module ${module_id}: patch ${culprit._index} of ${culprit._registrar_name} changed code which ${replacement_index == null ? "the find" : `replacement ${replacement_index + 1}`} of patch ${patch._index} of ${patch._registrar_name} targets`);
+                this._emit_event('patch_conflict', conflict);
+                return;
+            }
+        }
+
+        /**
+         * Get all detected conflicts between patches of different registrars
+         * @param {string} [registrar_name] - Only return conflicts this registrar is involved in
+         * @returns {Array<Object>} Conflicts: {module_id, registrar_name, patch_index, replacement_index, conflicting_registrar_name, conflicting_patch_index}. replacement_index is null if the find of the patch stopped matching.
+         */
+        get_conflicts(registrar_name = null) {
+            return this.conflicts
+                .filter(c => registrar_name == null || c.registrar_name === registrar_name || c.conflicting_registrar_name === registrar_name)
+                .map(c => ({ ...c }));
+        }
+
+        /**
+         * Find already executed modules which newly registered patches would have matched, emit patch_missed for them
+         * and re-patch them if requested
+         * @param {string} registrar_name - Name of the registrar the patches belong to
+         * @param {Array<Object>} new_patches - Newly registered patch records
+         * @param {boolean} repatch - Re-patch the missed modules
+         * @private
+         */
+        _handle_missed_modules(registrar_name, new_patches, repatch) {
+            const missed_modules = [];
+            let repatched_modules = [];
+            for (const instance of this.instances) {
+                for (const module_id of instance.patched_modules) {
+                    const factory_str = this._get_original_factory_string(module_id, instance);
+                    if (factory_str == null) {
+                        continue;
+                    }
+                    const missed = new_patches.some(patch => this._is_patch_enabled(patch)
+                        && this._patch_targets_instance(patch, instance)
+                        && this._check_pattern_match(factory_str, patch));
+                    if (!missed) {
+                        continue;
+                    }
+                    const module_key = this._get_module_key(instance, module_id);
+                    missed_modules.push(module_key);
+                    if (repatch && this.repatch_module(module_id, instance)) {
+                        repatched_modules.push(module_key);
+                    }
+                }
+            }
+
+            if (missed_modules.length === 0) {
+                return;
+            }
+
+            if (!repatch) {
+                this.logger.warn(`Patches of ${registrar_name} were registered too late for ${missed_modules.length} already executed module(s):`, missed_modules);
+            }
+
+            this._emit_event('patch_missed', registrar_name, missed_modules, repatched_modules);
+        }
+
+        /**
+         * Re-patch an already executed module: apply all enabled patches to its original factory, run the patched factory
+         * on a fresh module object and swap the result into the webpack cache.
+         * Caveats: modules which already required it keep references to the old exports, and side effects of the module run twice.
+         * @param {string} module_id - Module ID
+         * @param {WebpackInstance} [instance] - Instance the module belongs to, defaults to the primary instance
+         * @returns {boolean} True if the module was re-patched and re-executed
+         */
+        repatch_module(module_id, instance = this.primary_instance) {
+            const current_factory = instance?.module_factories?.[module_id];
+            const old_module = instance?.webpack_cache?.[module_id];
+
+            if (typeof current_factory !== "function" || !old_module) {
+                this.logger.warn(`Cannot re-patch module ${module_id}: module factory or cache entry not available`);
+                return false;
+            }
+
+            const original_factory = current_factory[WebpackPatcher.SYM_ORIGINAL_FACTORY]
+                || (current_factory[WebpackPatcher.SYM_PROXY_INNER_GET] ? current_factory[WebpackPatcher.SYM_PROXY_INNER_VALUE] : current_factory);
+
+            const patched_factory = this._patch_factory(instance, module_id, original_factory);
+            if (patched_factory === original_factory) {
+                return false;
+            }
+
+            // keep the shape of the runtime's module objects ({id, loaded, exports} or {i, l, exports})
+            const module = { ...old_module, exports: {} };
+            if ("loaded" in module) module.loaded = false;
+            if ("l" in module) module.l = false;
+
+            try {
+                patched_factory.call(module.exports, module, module.exports, instance.webpack_require);
+            } catch (e) {
+                this.logger.error(`Re-executing patched module ${module_id} failed, keeping the old exports:`, e);
+                return false;
+            }
+
+            if ("loaded" in module) module.loaded = true;
+            if ("l" in module) module.l = true;
+            instance.webpack_cache[module_id] = module;
+
+            this.logger.warn(`Re-patched already executed module ${module_id}. Modules which required it before still use its old exports.`);
+            if (instance.runtime.own_cache) {
+                this.logger.warn(`The runtime of ${instance.name} does not expose its module cache, require(${module_id}) keeps returning the old exports`);
+            }
+            this._resolve_module_waiters(instance, module_id, module);
+            return true;
+        }
+
+        /**
+         * Count the occurrences of a replacement's match in code. A replacement without global only replaces the first occurrence,
+         * but count, min and max are about all of them.
+         * @param {string} code - Code
+         * @param {Object} replacement - Compiled replacement configuration
+         * @returns {number} Number of occurrences, at most 1 if the replacement has no count, min or max
+         * @private
+         */
+        _count_matches(code, replacement) {
+            const { match, count, min, max } = replacement;
+            const all = count != null || min != null || max != null; // otherwise it only matters whether there is a match
+            if (match instanceof CodeOperation) {
+                return match.locate(code, all).length;
+            }
+            let matches = 0;
+            for (const occurrences = this._find_all(code, match); !occurrences.next().done;) {
+                matches++;
+                if (!all) break;
+            }
+            return matches;
+        }
+
+        /**
+         * Check the number of matches of a replacement against its expected count
+         * @param {Object} replacement - Replacement configuration with optional count, min and max
+         * @param {number} hits - Number of matches, see _count_matches
+         * @returns {string|null} Description of the mismatch, null if the count is as expected
+         * @private
+         */
+        _check_replacement_count(replacement, hits) {
+            const { count, min, max } = replacement;
+            if (count != null && hits !== count) {
+                return `expected ${count} match(es), got ${hits}`;
+            }
+            if (min != null && hits < min) {
+                return `expected at least ${min} match(es), got ${hits}`;
+            }
+            if (max != null && hits > max) {
+                return `expected at most ${max} match(es), got ${hits}`;
+            }
+            if (hits === 0 && count == null && min == null) {
+                return "no match";
+            }
+            return null;
+        }
+
+        /**
+         * Create the source map state of a module. The patched code is tracked as segments, each pointing to the
+         * source its text comes from: the original module or the replacements of a registrar.
+         * @param {string} factory_str - Original factory source
+         * @param {string} module_key - Module key
+         * @returns {{segments: Array<{text: string, source: string, offset: number}>, sources: Map<string, string>}} Source map state
+         * @private
+         */
+        _create_source_map_state(factory_str, module_key) {
+            const original_source = `webpack-patcher://webpack/${encodeURIComponent(module_key)}`;
+            return {
+                segments: [{ text: factory_str, source: original_source, offset: 0 }],
+                sources: new Map([[original_source, factory_str]]) // source name -> content
+            };
+        }
+
+        /**
+         * Create the edit of a single match from the arguments String.replace passes to a replacer function.
+         * The parts the match and the replacement have in common at their start and end (e.g. "$&" style replacements)
+         * are left out, so they keep pointing to the code they came from.
+         * @param {Array} args - Replacer arguments: (match, ...groups, offset, string, named_groups?)
+         * @param {string} text - Replacement text
+         * @returns {{start: number, end: number, text: string}} Edit relative to the string the replacement ran on
+         * @private
+         */
+        _create_edit(args, text) {
+            const matched = args[0];
+            const offset = typeof args[args.length - 1] === "string" ? args[args.length - 2] : args[args.length - 3];
+
+            let prefix = 0;
+            while (prefix < matched.length && prefix < text.length && matched[prefix] === text[prefix]) {
+                prefix++;
+            }
+            let suffix = 0;
+            while (suffix < matched.length - prefix && suffix < text.length - prefix
+                && matched[matched.length - 1 - suffix] === text[text.length - 1 - suffix]) {
+                suffix++;
+            }
+
+            return { start: offset + prefix, end: offset + matched.length - suffix, text: text.slice(prefix, text.length - suffix) };
+        }
+
+        /**
+         * Apply the edits of a replacement to the segments of a module. Inserted text is appended to the registrar's source.
+         * @param {Array<Object>} segments - Segments of the code the replacement ran on
+         * @param {Array<Object>} edits - Edits in ascending order, see _create_edit
+         * @param {Map<string, string>} sources - Source contents, the registrar's source is extended
+         * @param {string} registrar_source - Source name of the registrar
+         * @returns {Array<Object>} Segments of the replaced code
+         * @private
+         */
+        _splice_segments(segments, edits, sources, registrar_source) {
+            const result = [];
+            let index = 0;
+            let segment_start = 0; // position of segments[index] in the code
+            let cursor = 0; // position in the code up to which the result is complete
+
+            const copy_until = (end) => {
+                while (cursor < end && index < segments.length) {
+                    const segment = segments[index];
+                    const segment_end = segment_start + segment.text.length;
+                    if (segment_end <= cursor) {
+                        segment_start = segment_end;
+                        index++;
+                        continue;
+                    }
+                    const from = cursor - segment_start;
+                    const to = Math.min(end, segment_end) - segment_start;
+                    result.push({ text: segment.text.slice(from, to), source: segment.source, offset: segment.offset + from });
+                    cursor = segment_start + to;
+                }
+            };
+
+            for (const edit of edits) {
+                copy_until(edit.start);
+                if (edit.text.length > 0) {
+                    const content = sources.get(registrar_source) || "";
+                    sources.set(registrar_source, content + edit.text + "\n");
+                    result.push({ text: edit.text, source: registrar_source, offset: content.length });
+                }
+                cursor = Math.max(cursor, edit.end);
+            }
+            copy_until(Infinity);
+
+            return result;
+        }
+
+        /**
+         * Replace the placeholders in the segments and source of a registrar, keeping the segment offsets in sync
+         * @param {Array<Object>} segments - Segments
+         * @param {Map<string, string>} sources - Source contents
+         * @param {string} registrar_source - Source name of the registrar
+         * @param {Function} replace_placeholders - (code) => code with placeholders replaced
+         * @returns {Array<Object>} Segments with placeholders replaced
+         * @private
+         */
+        _replace_segment_placeholders(segments, sources, registrar_source, replace_placeholders) {
+            const content = sources.get(registrar_source);
+            if (content == null) {
+                return segments;
+            }
+            sources.set(registrar_source, replace_placeholders(content));
+            return segments.map(segment => segment.source !== registrar_source ? segment : {
+                text: replace_placeholders(segment.text),
+                source: segment.source,
+                offset: replace_placeholders(content.slice(0, segment.offset)).length
+            });
+        }
+
+        /**
+         * Encode a number as base64 VLQ, as used by source map mappings
+         * @param {number} value - Integer
+         * @returns {string} Encoded value
+         * @private
+         */
+        _encode_vlq(value) {
+            let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+            let encoded = "";
+            do {
+                let digit = vlq & 31;
+                vlq >>>= 5;
+                if (vlq > 0) {
+                    digit |= 32; // continuation bit
+                }
+                encoded += WebpackPatcher.BASE64_CHARS[digit];
+            } while (vlq > 0);
+            return encoded;
+        }
+
+        /**
+         * Build the base64 encoded source map of a patched module. The generated code is expected to start on the
+         * second line after "0,", like in _apply_patch. Mappings are added at the start of every segment, line and statement,
+         * which is enough for breakpoints and stack traces in minified code.
+         * @param {Array<Object>} segments - Segments of the patched code
+         * @param {Map<string, string>} sources - Source contents
+         * @param {string} file - Name of the generated file
+         * @returns {string} Base64 encoded source map JSON
+         * @private
+         */
+        _build_source_map(segments, sources, file) {
+            const source_names = [...sources.keys()];
+            const source_indices = new Map(source_names.map((name, i) => [name, i]));
+            const line_starts = new Map(); // source name -> offsets of its line starts
+
+            const locate = (source, offset) => {
+                if (!line_starts.has(source)) {
+                    const starts = [0];
+                    const content = sources.get(source);
+                    for (let i = 0; i < content.length; i++) {
+                        if (content[i] === "\n") starts.push(i + 1);
+                    }
+                    line_starts.set(source, starts);
+                }
+                const starts = line_starts.get(source);
+                let low = 0;
+                let high = starts.length - 1;
+                while (low < high) {
+                    const mid = (low + high + 1) >> 1;
+                    if (starts[mid] <= offset) low = mid;
+                    else high = mid - 1;
+                }
+                return [low, offset - starts[low]];
+            };
+
+            const lines = [[]]; // first line is the "// Webpack Module" comment
+            let line = [];
+            let generated_column = 2; // after "0,"
+            let previous_column = 0;
+            let previous = [0, 0, 0]; // source index, original line, original column
+
+            for (const segment of segments) {
+                const source_index = source_indices.get(segment.source);
+                for (let i = 0; i < segment.text.length; i++) {
+                    const char = segment.text[i];
+                    if (i === 0 || "\n;{}".includes(segment.text[i - 1])) {
+                        const [original_line, original_column] = locate(segment.source, segment.offset + i);
+                        line.push(
+                            this._encode_vlq(generated_column - previous_column)
+                            + this._encode_vlq(source_index - previous[0])
+                            + this._encode_vlq(original_line - previous[1])
+                            + this._encode_vlq(original_column - previous[2])
+                        );
+                        previous_column = generated_column;
+                        previous = [source_index, original_line, original_column];
+                    }
+
+                    if (char === "\n") {
+                        lines.push(line);
+                        line = [];
+                        generated_column = 0;
+                        previous_column = 0;
+                    } else {
+                        generated_column++;
+                    }
+                }
+            }
+            lines.push(line);
+
+            const map = JSON.stringify({
+                version: 3,
+                file,
+                sources: source_names,
+                sourcesContent: source_names.map(name => sources.get(name)),
+                names: [],
+                mappings: lines.map(segments_of_line => segments_of_line.join(",")).join(";")
+            });
+
+            const bytes = new TextEncoder().encode(map);
+            let binary = "";
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+            }
+            return btoa(binary);
+        }
+
+        /**
+         * Apply the replacements of a patch to a factory and record the outcome in the patch's report
+         * @param {Function} factory - Original factory function
+         * @param {string} factory_str - Factory as string
+         * @param {Object} patch - Patch record, see _create_patch_record
+         * @param {string} module_id - Module ID for logging
+         * @param {Array<Object>} [history] - Patches applied to the module before this one, used for conflict detection
+         * @param {Object|null} [source_map] - Source map state of the module, see _create_source_map_state. Updated if the patch is applied.
+         * @returns {{factory: Function, factory_str: string}} Patched factory and its string representation, or original if patching fails
+         */
+        _apply_patch(factory, factory_str, patch, module_id, history = [], source_map = null) {
+            const { _replacements: matches_and_replacements, _registrar_name: registrar_name, _report: report } = patch;
+            const registrar_source = `webpack-patcher://${encodeURIComponent(registrar_name)}/${encodeURIComponent(module_id)}`;
+            let segments = source_map?.segments;
+            const sources = source_map ? new Map(source_map.sources) : null; // only committed if the patch is kept
+            let patched_code;
+            
+            if (!Array.isArray(matches_and_replacements) || matches_and_replacements.length === 0) {
+                this.logger.warn(`Module was matched, but no replacements provided`);
+                return { factory, factory_str };
+            }
+
+            try {
+                patched_code = factory_str;
+                let total_replacements = 0;
+                const replacement_hits = []; // [index, hits], only committed to the report if the patch is kept
+
+                for (let i = 0; i < matches_and_replacements.length; i++) {
+                    const match_and_replacement = matches_and_replacements[i];
+                    let hits = 0;
+
+                    const { match, replace, global } = match_and_replacement;
+                    const matches = this._count_matches(patched_code, match_and_replacement);
+                    const count_error = this._check_replacement_count(match_and_replacement, matches);
+                    if (count_error && patch._atomic) {
+                        const message = `Atomic patch ${patch._index} of ${registrar_name} discarded for module ${module_id}: replacement ${i + 1}/${matches_and_replacements.length} ${count_error}`;
+                        this.logger.warn(message);
+                        report.failures.push({ module_id, error: null, message, patched_code: null });
+                        if (matches === 0 && history.length > 0) {
+                            this._detect_conflict(module_id, patch, i, factory_str, history);
+                        }
+                        return { factory, factory_str };
+                    }
+
+                    if (count_error) {
+                        report.skipped_modules[i].add(module_id);
+                        this.logger.warn(`Replacement ${i + 1}/${matches_and_replacements.length} skipped (${count_error}) for module ${module_id}`);
+                        if (matches === 0 && history.length > 0) {
+                            this._detect_conflict(module_id, patch, i, factory_str, history);
+                        }
+                        continue;
+                    }
+
+                    const func = global || (match instanceof RegExp && match.global) ? "replaceAll" : "replace";
+                    const edits = []; // {start, end, text} relative to the code before the replacement, for the source map
+                    
+                    if (typeof replace === 'function') {
+                        patched_code = patched_code[func](match, (...args) => {
+                            hits++;
+                            const text = replace(...args);
+                            if (source_map) edits.push(this._create_edit(args, String(text)));
+                            return text;
+                        });
+                    } else {
+                        patched_code = patched_code[func](match, (...args) => {
+                            hits++;
+                            if (source_map) edits.push(this._create_edit(args, replace));
+                            return replace;
+                        });
+                    }
+
+                    if (hits > 0) {
+                        total_replacements++;
+                        replacement_hits.push([i, hits]);
+                        if (source_map) {
+                            segments = this._splice_segments(segments, edits, sources, registrar_source);
+                        }
+                    }
+                }
+
+                if (total_replacements === 0) {
+                    this.logger.warn(`No replacements occurred in module ${module_id}, returning original factory`);
+                    return { factory, factory_str };
+                }
+
+                for (const [i, hits] of replacement_hits) {
+                    report.replacement_hits[i].set(module_id, hits);
+                }
+
+                const placeholder_replacements = this._get_placeholder_replacements(registrar_name);
+                const replace_placeholders = (code) => {
+                    for (const [placeholder, replacement] of Object.entries(placeholder_replacements)) {
+                        code = code.replaceAll(placeholder, () => replacement); // a replacement string would expand $ patterns in registrar names
+                    }
+                    return code;
+                };
+                patched_code = replace_placeholders(patched_code);
+
+                let source_map_comment = "";
+                if (source_map) {
+                    segments = this._replace_segment_placeholders(segments, sources, registrar_source, replace_placeholders);
+                    if (segments.map(segment => segment.text).join("") === patched_code) {
+                        source_map_comment = `\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,${this._build_source_map(segments, sources, `WebpackModule${module_id}`)}`;
+                    } else {
+                        this.logger.debug(`Source map of module ${module_id} is out of sync with the patched code, skipping it`);
+                    }
+                }
+
+                const patched_factory = this._evaluate_patched_code(patched_code, module_id, source_map_comment);
+                
+                if (source_map_comment) {
+                    source_map.segments = segments;
+                    source_map.sources = sources;
+                }
+                report.patched_modules.add(module_id);
+                return { 
+                    factory: patched_factory, 
+                    factory_str: patched_code 
+                };
+            } catch (e) {
+                this.logger.error(`Replacement based patching failed:`, e, "patched code:", patched_code);
+                report.failures.push({ module_id, error: e, message: String(e?.message ?? e), patched_code });
+                return { factory, factory_str };
+            }
+        }
+
+        /**
+         * Turn patched module code into a factory function, with the strategy picked by _detect_evaluation
+         * @param {string} patched_code - Patched factory code
+         * @param {string} module_id - Module ID (key) used in the sourceURL
+         * @param {string} [source_map_comment] - sourceMappingURL comment to append, not used by the function strategy
+         * @returns {Function} Patched factory
+         * @private
+         */
+        _evaluate_patched_code(patched_code, module_id, source_map_comment = "") {
+            const { strategy, trusted_types } = this._get_evaluation();
+            if (strategy === null) {
+                throw new Error("Patched code can't be evaluated on this site, see get_evaluation_info");
+            }
+            return this._evaluate_with(strategy, trusted_types ? this.trusted_types_policy : null, patched_code, module_id, source_map_comment);
+        }
+
+        /**
+         * Evaluate factory code with a specific strategy. The code is evaluated inside a function whose only parameter (REGISTRAR_PARAMETER)
+         * is registrar_lookup, so placeholders reach the registrars through a closure instead of anything the page could find on window.
+         * @param {string} strategy - One of WebpackPatcher.EVALUATION_STRATEGIES
+         * @param {Object|null} policy - Trusted Types policy to turn the code into a TrustedScript, null to pass a string
+         * @param {string} code - Factory code
+         * @param {string} module_id - Module ID (key) used in the sourceURL
+         * @param {string} [source_map_comment] - sourceMappingURL comment to append
+         * @returns {any} Value of the code
+         * @private
+         */
+        _evaluate_with(strategy, policy, code, module_id, source_map_comment = "") {
+            const trusted = (script) => policy ? policy.createScript(script) : script;
+            // the code starts on the second line after "0,", _build_source_map accounts for that
+            const closure = `(function(${WebpackPatcher.REGISTRAR_PARAMETER}){return(// Webpack Module ${module_id} - Patched by WebpackPatcher\n0,${code}\n)})`;
+            const footer = `\n//# sourceURL=WebpackModule${module_id}${source_map_comment}`;
+
+            let create_factory;
+            switch (strategy) {
+                case "eval":
+                    create_factory = (0, eval)(trusted(`${closure}${footer}`));
+                    break;
+                case "function":
+                    create_factory = new Function(trusted(`return ${closure}`))();
+                    break;
+                case "script":
+                    create_factory = this._evaluate_in_script((key) => trusted(`window[${JSON.stringify(key)}]=${closure};${footer}`));
+                    break;
+                default:
+                    throw new Error(`Unknown evaluation strategy: ${strategy}`);
+            }
+            if (typeof create_factory !== "function") {
+                return create_factory; // e.g. eval returns a TrustedScript unchanged where it isn't supported
+            }
+            return create_factory(this.registrar_lookup);
+        }
+
+        /**
+         * Evaluate code by adding an inline script element, which runs synchronously. The nonce of the page's scripts is reused, if any.
+         * @param {Function} create_script - (key) => script text which assigns the value to window[key]
+         * @returns {any} Value the script assigned
+         * @private
+         */
+        _evaluate_in_script(create_script) {
+            if (typeof document === "undefined" || !document.documentElement) {
+                throw new Error("No document to add a script element to");
+            }
+            const key = `__webpack_patcher_result_${this.placeholder_id}`;
+            const script = document.createElement("script");
+            const nonce = document.querySelector("script[nonce]")?.nonce;
+            if (nonce) {
+                script.nonce = nonce;
+            }
+            script.text = create_script(key);
+
+            let error = null;
+            const on_error = (event) => { error = event.error ?? new Error(event.message); }; // syntax errors of the script are reported here, not thrown
+            window.addEventListener("error", on_error);
+            try {
+                (document.head || document.documentElement).appendChild(script);
+            } finally {
+                window.removeEventListener("error", on_error);
+                script.remove();
+            }
+
+            const value = window[key];
+            delete window[key];
+            if (error) {
+                throw error;
+            }
+            if (value === undefined) {
+                throw new Error("The script element was blocked, probably by the Content-Security-Policy");
+            }
+            return value;
+        }
+
+        /**
+         * Create the Trusted Types policy for patched code, if the browser supports Trusted Types
+         * @returns {Object|null} Policy, null if Trusted Types are not supported or the site doesn't allow the policy name
+         * @private
+         */
+        _create_trusted_types_policy() {
+            if (!window.trustedTypes?.createPolicy) {
+                return null;
+            }
+            try {
+                return window.trustedTypes.createPolicy(this.trusted_types_policy_name, { createScript: (script) => script });
+            } catch (e) {
+                this.logger.debug(`Could not create the Trusted Types policy ${this.trusted_types_policy_name}:`, e);
+                return null;
+            }
+        }
+
+        /**
+         * Get the evaluation strategy, detecting it on first use
+         * @returns {Object} Evaluation: {strategy, trusted_types, failures}, see _detect_evaluation
+         * @private
+         */
+        _get_evaluation() {
+            return this.evaluation ?? this._detect_evaluation();
+        }
+
+        /**
+         * Find a way to evaluate patched code which the site's Content-Security-Policy and Trusted Types allow, by evaluating a small probe
+         * with every candidate strategy (as string first, then as TrustedScript). Strategies the site blocks may show CSP violations in the console.
+         * With evaluation_strategy "auto", eval is preferred (it supports source maps), or new Function if use_eval is disabled. The inline script element is the last resort.
+         * @returns {Object} Evaluation: {strategy, trusted_types, failures}. strategy is null if nothing works, failures maps each failed attempt to its error
+         * @private
+         */
+        _detect_evaluation() {
+            const candidates = this.evaluation_strategy !== "auto"
+                ? [this.evaluation_strategy]
+                : this.use_eval ? ["eval", "function", "script"] : ["function", "eval", "script"];
+            this.trusted_types_policy ??= this._create_trusted_types_policy();
+            const failures = {};
+
+            for (const strategy of candidates) {
+                for (const policy of this.trusted_types_policy ? [null, this.trusted_types_policy] : [null]) {
+                    const attempt = policy ? `${strategy} (Trusted Types)` : strategy;
+                    try {
+                        const probe = this._evaluate_with(strategy, policy, "function(){return 1}", "probe");
+                        if (typeof probe === "function" && probe() === 1) {
+                            this.evaluation = { strategy, trusted_types: policy !== null, failures };
+                            this.logger.log(`Evaluating patched modules with ${attempt}`);
+                            return this.evaluation;
+                        }
+                        failures[attempt] = "did not return the factory"; // e.g. eval returns a TrustedScript unchanged where it isn't supported
+                    } catch (e) {
+                        failures[attempt] = String(e?.message ?? e);
+                    }
+                }
+            }
+
+            this.evaluation = { strategy: null, trusted_types: false, failures };
+            this.logger.error("Patched code can't be evaluated on this site (Content-Security-Policy or Trusted Types), no module will be patched. Attempts:", failures);
+            return this.evaluation;
+        }
+
+        /**
+         * Get which strategy is used to evaluate patched code, detecting it if webpack was not detected yet
+         * @returns {Object} {strategy: "eval"|"function"|"script"|null, trusted_types: boolean, source_maps: boolean, failures: Object<attempt, error message>}
+         */
+        get_evaluation_info() {
+            const { strategy, trusted_types, failures } = this._get_evaluation();
+            return { strategy, trusted_types, source_maps: this.source_maps && strategy !== null && strategy !== "function", failures: { ...failures } };
+        }
+
+        /**
+         * @param {Object} logger - Logger instance for debug/error output
+         * @param {Object} options - Configuration options
+         * @param {boolean} options.enable_cache - Enable caching for performance (default: false). Is only useful in some cases, check yourself.
+         * @param {boolean} options.use_eval - Prefer eval over new Function for better debugging, the other one is still tried if the site blocks eval, see evaluation_strategy (default: true)
+         * @param {Function} options.on_detect - Callback when webpack is detected (default: null)
+         * @param {Function} options.filter_func - Filter function to select webpack instance: (webpack_require, stack_lines) => boolean. Should return true to allow the instance, false to reject it.
+         * @param {Object} options.webpack_property_names - Property names to hook: {modules: "m", cache: "c"} (default: {modules: "m", cache: "c"}). Assigned values are told apart by their content, the names only decide for empty values.
+         * @param {boolean} options.repatch_executed - Re-patch already executed modules when patches are registered too late (default: false). Can be overridden per registrar.
+         * @param {Array<string>} options.chunk_global_names - Names of the global chunk arrays to observe (default: all window properties starting with webpackChunk or webpackJsonp)
+         * @param {boolean} options.multiple_instances - Hook every webpack instance which passes the filters instead of only the first one (default: false)
+         * @param {Function} options.instance_name - Function to name instances: (webpack_require, stack_lines, index) => string (default: file name of the initializing script)
+         * @param {boolean} options.auto_detect - Hook every webpack instance and pick the primary one heuristically, used for sites without a configuration (default: false)
+         * @param {boolean} options.source_maps - Add inline source maps to patched modules which map back to the original code and the registrars' replacements, not available when patched code is evaluated with new Function. Makes patching slower and patched modules larger (default: false)
+         * @param {boolean} options.persistent_cache - Remember in localStorage which modules matched and their patched code, so unchanged modules skip matching on later page loads (default: false)
+         * @param {boolean} options.fast_matching - Match all string finds against a module in one pass (Aho-Corasick) instead of testing every patch on its own (default: true)
+         * @param {boolean} options.safe_execution - Run the original factory if a patched factory throws while executing, instead of letting the error break the site (default: false)
+         * @param {boolean} options.eager_validation - Validate all patches against every known module when webpack is detected and when a chunk loads, without applying anything (default: false)
+         * @param {string} options.evaluation_strategy - How patched code is evaluated: "auto" (first one the site's CSP/Trusted Types allow), "eval", "function" or "script" (default: "auto")
+         * @param {string} options.trusted_types_policy - Name of the Trusted Types policy created for patched code, for sites which only allow some policy names (default: "webpack-patcher")
+         * @param {boolean} options.expose_registrars - Also expose the registrar objects as WebpackPatcher.Registrars, making their data and functions reachable by the page and other scripts (default: false)
+         */
+        static initialize(logger, options={}) {
+            const patcher = new WebpackPatcher(logger, options);
+            patcher.hook_webpack();
+            logger.log("WebpackPatcher initialized, options:", options);
+            return patcher;
+        }
+
+        /**
+         * Clear caches
+         * @param {string} module_id - Optional specific module ID to clear
+         * @param {string|Function} [instance] - Only clear the caches of matching instances (name or predicate), all instances if omitted
+         */
+        clear_cache(module_id=null, instance=null) {
+            if (!this.cache_enabled) {
+                this.logger.warn("Cache is disabled, nothing to clear");
+                return;
+            }
+            
+            for (const target of this._select_instances(instance)) {
+                if (module_id) {
+                    target.factory_string_cache.delete(module_id);
+                } else {
+                    target.factory_string_cache.clear();
+                }
+            }
+        }
+
+        /**
+         * Create a factory proxy that intercepts execution for lazy patching
+         * @param {WebpackInstance} instance - Instance the module belongs to
+         * @param {string} module_id - Module ID
+         * @param {Function} factory - Original factory function
+         * @returns {Proxy} Proxied factory
+         * @private
+         */
+        _create_factory_proxy(instance, module_id, factory) {
+            const self = this;
+            return new Proxy(factory, {
+                apply(factory_target, thisArg, argArray) {
+                    if (!instance.runtime_ready) {
+                        self._finish_runtime_detection(instance); // the runtime's setup is done once it runs modules
+                    }
+                    if (instance.runtime.own_cache && argArray[0] != null) {
+                        instance.webpack_cache[module_id] = argArray[0];
+                    }
+                    const patched_factory = self._get_or_patch_factory(instance, module_id, factory_target);
+                    const result = self.safe_execution && patched_factory !== factory_target
+                        ? self._execute_safely(instance, module_id, patched_factory, thisArg, argArray)
+                        : patched_factory.apply(thisArg, argArray);
+                    self._apply_intercepts(instance, module_id, argArray[0]);
+                    self._resolve_module_waiters(instance, module_id, argArray[0]);
+                    return result;
+                },
+                
+                get(factory_target, prop, receiver) {
+                    return self._handle_factory_get(factory_target, prop, receiver);
+                }
+            });
+        }
+
+        /**
+         * Execute a patched factory, falling back to its original factory if it throws.
+         * The original factory runs on a fresh module object whose exports are moved to the module object webpack passed,
+         * as the runtime returns the exports from that one. The patches applied to the module are marked as faulty.
+         * @param {WebpackInstance} instance - Instance the module belongs to
+         * @param {string} module_id - Module ID
+         * @param {Function} patched_factory - Patched factory
+         * @param {any} thisArg - this of the factory call
+         * @param {Array} argArray - Arguments of the factory call: (module, exports, webpack_require)
+         * @returns {any} Result of the factory which ran successfully
+         * @private
+         */
+        _execute_safely(instance, module_id, patched_factory, thisArg, argArray) {
+            try {
+                return patched_factory.apply(thisArg, argArray);
+            } catch (error) {
+                const original_factory = patched_factory[WebpackPatcher.SYM_ORIGINAL_FACTORY];
+                const module_key = this._get_module_key(instance, module_id);
+                const faulty_patches = this.patches.filter(patch => patch._report.patched_modules.has(module_key));
+                const module = argArray[0];
+                if (!original_factory || module == null || typeof module !== "object") {
+                    throw error;
+                }
+
+                this.logger.error(`Patched module ${module_key} threw while executing, running the original module instead. Patched by: ${faulty_patches.map(patch => `${patch._registrar_name} (patch ${patch._index})`).join(", ")}`, error);
+                for (const patch of faulty_patches) {
+                    patch._report.execution_errors.push({ module_id: module_key, error, message: String(error?.message ?? error) });
+                }
+                instance.module_factories[module_id] = original_factory;
+                if (this.persistent_cache) {
+                    const cache_key = this._get_persistent_cache_key(instance, this._get_factory_string(instance, module_id, original_factory));
+                    this.persistent_cache_entries.delete(cache_key);
+                    this.persistent_cache_used.delete(cache_key);
+                }
+
+                // keep the shape of the runtime's module objects ({id, loaded, exports} or {i, l, exports})
+                const fresh_module = { ...module, exports: {} };
+                const result = original_factory.apply(thisArg === module.exports ? fresh_module.exports : thisArg, [fresh_module, fresh_module.exports, ...argArray.slice(2)]);
+                module.exports = fresh_module.exports;
+
+                this._emit_event('patch_failed', module_id, error, faulty_patches.map(patch => ({ registrar_name: patch._registrar_name, patch_index: patch._index })), instance);
+                return result;
+            }
+        }
+
+        /**
+         * Handle get trap for factory proxies
+         * @param {Function} factory_target - Target factory function
+         * @param {string|symbol} prop - Property being accessed
+         * @param {any} receiver - Proxy receiver
+         * @returns {any} Property value
+         * @private
+         */
+        _handle_factory_get(factory_target, prop, receiver) {
+            if (prop === WebpackPatcher.SYM_PROXY_INNER_GET) {
+                return true;
+            }
+            if (prop === WebpackPatcher.SYM_PROXY_INNER_VALUE) {
+                return factory_target;
+            }
+            
+            const actual_factory = factory_target[WebpackPatcher.SYM_ORIGINAL_FACTORY] || factory_target;
+            
             // ensure toString has correct `this` context
             if (prop === "toString") {
                 return actual_factory.toString.bind(actual_factory);
             }
             
-            return Reflect.get(actual_factory, prop, receiver);
+            return Reflect.get(actual_factory, prop, receiver);
+        }
+
+        /**
+         * Get the original (unpatched) source of a module factory
+         * @param {string} module_id - Module ID
+         * @param {WebpackInstance} [instance] - Instance the module belongs to, defaults to the primary instance
+         * @returns {string|null} Factory source or null if the module is unknown
+         */
+        _get_original_factory_string(module_id, instance = this.primary_instance) {
+            const factory = instance?.module_factories?.[module_id];
+            if (typeof factory !== "function") {
+                return null;
+            }
+            return this._get_factory_string(instance, module_id, factory[WebpackPatcher.SYM_ORIGINAL_FACTORY] || factory);
+        }
+
+        /**
+         * Test a filter against the exports of a module, optionally also against the default export of ES modules
+         * @param {Function} filter - Filter function: (exports, module_id, instance) => boolean
+         * @param {any} exports - Module exports
+         * @param {string} module_id - Module ID
+         * @param {boolean} unwrap_default - Also test exports.default if the module is an ES module
+         * @param {WebpackInstance} instance - Instance the module belongs to
+         * @returns {{exports: any}|null} Wrapped matching value (exports or exports.default), null if nothing matched
+         * @private
+         */
+        _match_exports(filter, exports, module_id, unwrap_default, instance) {
+            if (exports == null || exports === window) {
+                return null;
+            }
+
+            const candidates = [exports];
+            if (unwrap_default && exports.__esModule && exports.default != null) {
+                candidates.push(exports.default);
+            }
+
+            for (const candidate of candidates) {
+                try {
+                    if (filter(candidate, module_id, instance)) {
+                        return { exports: candidate };
+                    }
+                } catch (e) {
+                    // getters of uninitialized ES module bindings throw, treat as no match
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Find loaded modules whose exports match a filter. Searches the primary instance first, then the other instances.
+         * @param {Function} filter - Filter function: (exports, module_id, instance) => boolean
+         * @param {Object} [options] - Find options
+         * @param {boolean} [options.all=false] - Return all matches instead of the first one
+         * @param {boolean} [options.unwrap_default=true] - Also test (and return) the default export of ES modules
+         * @param {string|Function} [options.instance] - Only search matching instances (name or predicate), all instances if omitted
+         * @returns {any|Array<any>|null} Matching exports (array if options.all), null/empty array if nothing matched or webpack is not detected yet
+         */
+        find_module(filter, options = {}) {
+            const { all = false, unwrap_default = true, instance = null } = options;
+            const results = [];
+
+            for (const target of this._select_instances(instance)) {
+                if (!target.webpack_cache) {
+                    continue;
+                }
+
+                for (const module_id in target.webpack_cache) {
+                    const match = this._match_exports(filter, target.webpack_cache[module_id]?.exports, module_id, unwrap_default, target);
+                    if (!match) {
+                        continue;
+                    }
+                    if (!all) {
+                        return match.exports;
+                    }
+                    results.push(match.exports);
+                }
+            }
+
+            return all ? results : null;
+        }
+
+        /**
+         * Create a filter matching exports which have all given properties
+         * @param {string|Array<string>} props - Property name(s)
+         * @returns {Function} Filter function: (exports, module_id, instance) => boolean
+         */
+        filter_by_props(props) {
+            const prop_list = Array.isArray(props) ? props : [props];
+            return (exports) => prop_list.every(prop => exports[prop] !== undefined);
+        }
+
+        /**
+         * Create a filter matching modules whose original factory source matches a pattern
+         * @param {string|RegExp|Array<string|RegExp>} code - Pattern(s), same semantics as a patch's find
+         * @returns {Function} Filter function: (exports, module_id, instance) => boolean
+         */
+        filter_by_code(code) {
+            const find = this._compile_pattern(code);
+            return (exports, module_id, instance) => {
+                const factory_str = this._get_original_factory_string(module_id, instance);
+                return factory_str != null && this._check_pattern_match(factory_str, { find });
+            };
+        }
+
+        /**
+         * Search the original source of all module factories, e.g. to write a new patch
+         * @param {string|RegExp} pattern - Substring or regex, supports the \i shorthand
+         * @param {Object} [options] - Search options
+         * @param {number} [options.limit=50] - Maximum number of matches
+         * @param {number} [options.context=40] - Characters of context before and after each match
+         * @param {string|Function} [options.instance] - Only search matching instances (name or predicate), all instances if omitted
+         * @param {Object} [options.test] - Candidate patch ({find, replacements, atomic}, find defaults to the pattern) to test against the matched modules without applying it
+         * @returns {Object} Result: {matches: Array<{module_id, instance, offset, match, before, after}>, modules_searched, truncated, test: Array<Object>|null}, see _preview_patch for the test entries
+         *
+         * @example
+         * WebpackPatcher.search(/\i\.dispatch\({type:"TYPING_START_LOCAL"/, { context: 80 });
+         */
+        search(pattern, options = {}) {
+            const limit = options.limit !== undefined ? options.limit : 50;
+            const context = options.context !== undefined ? options.context : 40;
+            const compiled = this._compile_pattern(pattern);
+            const matches = [];
+            const matched_modules = []; // [instance, module_id], in order of their first match
+            let modules_searched = 0;
+            let truncated = false;
+
+            search: for (const instance of this._select_instances(options.instance ?? null)) {
+                for (const module_id of Object.keys(instance.module_factories || {})) {
+                    const factory_str = this._get_original_factory_string(module_id, instance);
+                    if (factory_str == null) {
+                        continue;
+                    }
+                    modules_searched++;
+
+                    let module_matched = false;
+                    for (const { index, text } of this._find_all(factory_str, compiled)) {
+                        if (matches.length >= limit) {
+                            truncated = true;
+                            break search;
+                        }
+                        if (!module_matched) {
+                            matched_modules.push([instance, module_id]);
+                            module_matched = true;
+                        }
+                        matches.push({
+                            module_id,
+                            instance: instance.name,
+                            offset: index,
+                            match: text,
+                            before: factory_str.slice(Math.max(0, index - context), index),
+                            after: factory_str.slice(index + text.length, index + text.length + context)
+                        });
+                    }
+                }
+            }
+
+            const test = options.test
+                ? matched_modules.map(([instance, module_id]) => this._preview_patch(instance, module_id, {
+                    ...options.test,
+                    find: options.test.find ?? pattern,
+                    replacements: (options.test.replacements || []).map(replacement => this._compile_replacement(replacement))
+                }))
+                : null;
+            return { matches, modules_searched, truncated, test };
+        }
+
+        /**
+         * Find all occurrences of a pattern
+         * @param {string} code - Code to search
+         * @param {string|RegExp} pattern - Substring or (compiled) regex
+         * @returns {Generator<{index: number, text: string}>} Occurrences
+         * @private
+         */
+        *_find_all(code, pattern) {
+            if (typeof pattern === "string") {
+                if (pattern === "") return;
+                for (let index = code.indexOf(pattern); index !== -1; index = code.indexOf(pattern, index + pattern.length)) {
+                    yield { index, text: pattern };
+                }
+                return;
+            }
+            const flags = pattern.flags.includes("g") ? pattern.flags : pattern.flags + "g";
+            for (const match of code.matchAll(new RegExp(pattern.source, flags))) {
+                yield { index: match.index, text: match[0] };
+            }
+        }
+
+        /**
+         * Apply a candidate patch to the original source of a module without touching the module or any report
+         * @param {WebpackInstance} instance - Instance the module belongs to
+         * @param {string} module_id - Module ID
+         * @param {Object} patch - Candidate patch: {find, replacements, atomic}, replacements compiled with _compile_replacement
+         * @returns {Object} Preview: {module_id, instance, find_matches, replacement_hits: Array<number>, skipped: Array<string|null>, patched_code, syntax_checked, error}.
+         *     patched_code is null if nothing would change, error describes why the patch would be discarded (count mismatch of an atomic patch, syntax error).
+         *     syntax_checked is false if the syntax of patched_code could not be checked, see _check_syntax
+         * @private
+         */
+        _preview_patch(instance, module_id, patch) {
+            const factory_str = this._get_original_factory_string(module_id, instance);
+            const find = this._compile_pattern(patch.find);
+            const replacements = Array.isArray(patch.replacements) ? patch.replacements : [];
+            const preview = { module_id, instance: instance.name, find_matches: this._check_pattern_match(factory_str, { find }), replacement_hits: [], skipped: [], patched_code: null, syntax_checked: false, error: null };
+
+            let patched_code = factory_str;
+            try {
+                for (const replacement of replacements) {
+                    const { match, replace } = replacement;
+                    const count_error = this._check_replacement_count(replacement, this._count_matches(patched_code, replacement));
+                    preview.skipped.push(count_error);
+                    if (count_error) {
+                        preview.replacement_hits.push(0);
+                        if (patch.atomic) {
+                            preview.error = `Atomic patch would be discarded: replacement ${preview.skipped.length}/${replacements.length} ${count_error}`;
+                            return preview;
+                        }
+                        continue;
+                    }
+
+                    let hits = 0;
+                    patched_code = patched_code[replacement.global || (match instanceof RegExp && match.global) ? "replaceAll" : "replace"](match, (...args) => {
+                        hits++;
+                        return typeof replace === "function" ? replace(...args) : replace;
+                    });
+                    preview.replacement_hits.push(hits);
+                }
+            } catch (e) {
+                preview.error = `Replacement threw: ${e?.message ?? e}`;
+                return preview;
+            }
+
+            if (patched_code === factory_str) {
+                return preview;
+            }
+            for (const [placeholder, value] of Object.entries(this._get_placeholder_replacements(patch.registrar_name || "test"))) {
+                patched_code = patched_code.replaceAll(placeholder, () => value);
+            }
+            preview.patched_code = patched_code;
+            const syntax_error = this._check_syntax(patched_code, module_id);
+            preview.syntax_checked = syntax_error !== undefined;
+            preview.error = syntax_error ?? null;
+            return preview;
+        }
+
+        /**
+         * Check the syntax of patched factory code by evaluating it the way patched modules are, without calling the factory.
+         * Only done with the eval and function strategies, adding a script element for every previewed module would be too heavy.
+         * @param {string} patched_code - Patched factory code
+         * @param {string} module_id - Module ID used in the sourceURL
+         * @returns {string|null|undefined} Description of the error, null if the code is fine, undefined if it could not be checked
+         * @private
+         */
+        _check_syntax(patched_code, module_id) {
+            const { strategy, trusted_types } = this._get_evaluation();
+            if (strategy !== "eval" && strategy !== "function") {
+                return undefined;
+            }
+            try {
+                this._evaluate_with(strategy, trusted_types ? this.trusted_types_policy : null, patched_code, module_id);
+                return null;
+            } catch (e) {
+                return e instanceof SyntaxError ? `Syntax error: ${e.message}` : `Could not check the syntax: ${e?.message ?? e}`;
+            }
+        }
+
+        /**
+         * Wait for a module whose exports match a filter. Resolves immediately if such a module is already loaded,
+         * otherwise as soon as a matching module finishes executing.
+         * @param {Function} filter - Filter function: (exports, module_id, instance) => boolean
+         * @param {Object} [options] - Wait options
+         * @param {number} [options.timeout=0] - Reject after this many milliseconds, 0 to wait forever
+         * @param {AbortSignal} [options.signal] - Signal to cancel waiting, rejects with the signal's reason
+         * @param {boolean} [options.unwrap_default=true] - Also test (and resolve with) the default export of ES modules
+         * @param {string|Function} [options.instance] - Only wait for modules of matching instances (name or predicate)
+         * @returns {Promise<any>} Promise resolving with the matching exports
+         */
+        wait_for_module(filter, options = {}) {
+            const { timeout = 0, signal = null, unwrap_default = true, instance = null } = options;
+
+            return new Promise((resolve, reject) => {
+                if (signal?.aborted) {
+                    reject(signal.reason);
+                    return;
+                }
+
+                const existing = this.find_module(filter, { unwrap_default, instance });
+                if (existing != null) {
+                    resolve(existing);
+                    return;
+                }
+
+                let timeout_id = null;
+                const cleanup = () => {
+                    const index = this.module_waiters.indexOf(waiter);
+                    if (index > -1) {
+                        this.module_waiters.splice(index, 1);
+                    }
+                    if (timeout_id !== null) {
+                        clearTimeout(timeout_id);
+                    }
+                    signal?.removeEventListener("abort", on_abort);
+                };
+                const on_abort = () => {
+                    cleanup();
+                    reject(signal.reason);
+                };
+                const waiter = {
+                    filter,
+                    unwrap_default,
+                    instance,
+                    resolve: (exports) => {
+                        cleanup();
+                        resolve(exports);
+                    }
+                };
+
+                if (timeout > 0) {
+                    timeout_id = setTimeout(() => {
+                        cleanup();
+                        reject(new Error(`Timed out after ${timeout}ms waiting for module`));
+                    }, timeout);
+                }
+                signal?.addEventListener("abort", on_abort, { once: true });
+
+                this.module_waiters.push(waiter);
+            });
+        }
+
+        /**
+         * Intercept an exported function of a module without rewriting its source. The hooks are installed on all loaded modules
+         * matching the filter and on modules matching it once they finish executing.
+         * @param {Function} filter - Filter function: (exports, module_id, instance) => boolean
+         * @param {string|Array<string>} key_path - Path to the function, relative to the matched exports, e.g. "default.prototype.render"
+         * @param {Object} hooks - Hooks, all optional
+         * @param {Function} [hooks.before] - (args, this_arg) => void|Array, runs before the function, returning an array replaces the arguments
+         * @param {Function} [hooks.instead] - (args, original, this_arg) => any, runs instead of the function, call original(...args) to continue
+         * @param {Function} [hooks.after] - (result, args, this_arg) => any, runs after the function, returning anything but undefined replaces the result
+         * @param {Object} [options] - Intercept options
+         * @param {string} [options.name] - Name shown in logs, e.g. the registrar name
+         * @param {number} [options.priority=0] - Hooks with a higher priority run first (before/after) or outermost (instead)
+         * @param {boolean} [options.all=false] - Install the hooks on every matching module instead of only the first one
+         * @param {boolean} [options.unwrap_default=true] - Also test (and resolve key_path relative to) the default export of ES modules
+         * @param {string|Function} [options.instance] - Only intercept modules of matching instances (name or predicate)
+         * @returns {{unpatch: Function}} Handle to remove the hooks again
+         */
+        intercept(filter, key_path, hooks, options = {}) {
+            const record = {
+                filter,
+                key_path: Array.isArray(key_path) ? key_path : String(key_path).split("."),
+                hooks,
+                name: options.name || "anonymous",
+                priority: options.priority || 0,
+                order: this.intercept_sequence++,
+                all: options.all || false,
+                unwrap_default: options.unwrap_default ?? true,
+                instance: options.instance ?? null,
+                chains: [], // hook chains the record is installed in
+                active: true
+            };
+            this.intercepts.push(record);
+
+            for (const instance of this._select_instances(record.instance)) {
+                for (const module_id in instance.webpack_cache || {}) {
+                    if (!record.all && record.chains.length > 0) {
+                        break;
+                    }
+                    if (this._apply_intercept(record, instance, module_id, instance.webpack_cache[module_id])) {
+                        this.logger.debug(`Intercepted ${record.key_path.join(".")} of already loaded module ${this._get_module_key(instance, module_id)} (${record.name})`);
+                    }
+                }
+            }
+
+            return {
+                unpatch: () => {
+                    if (!record.active) {
+                        return;
+                    }
+                    record.active = false;
+                    this.intercepts.splice(this.intercepts.indexOf(record), 1);
+                    for (const chain of record.chains) {
+                        chain.hooks.splice(chain.hooks.indexOf(record), 1);
+                    }
+                    this.logger.debug(`Removed intercept of ${record.key_path.join(".")} (${record.name})`);
+                }
+            };
+        }
+
+        /**
+         * Apply all active intercepts to a module which just finished executing
+         * @param {WebpackInstance} instance - Instance the module belongs to
+         * @param {string} module_id - Module ID
+         * @param {Object} module - Webpack module object ({id, loaded, exports})
+         * @private
+         */
+        _apply_intercepts(instance, module_id, module) {
+            if (this.intercepts.length === 0) {
+                return;
+            }
+
+            for (const record of this.intercepts) {
+                if ((record.all || record.chains.length === 0) && this._instance_matches(record.instance, instance)) {
+                    this._apply_intercept(record, instance, module_id, module);
+                }
+            }
+        }
+
+        /**
+         * Install the hooks of an intercept on a module if its exports match the intercept's filter
+         * @param {Object} record - Intercept record
+         * @param {WebpackInstance} instance - Instance the module belongs to
+         * @param {string} module_id - Module ID
+         * @param {Object} module - Webpack module object ({id, loaded, exports})
+         * @returns {boolean} True if the hooks were installed
+         * @private
+         */
+        _apply_intercept(record, instance, module_id, module) {
+            const match = this._match_exports(record.filter, module?.exports, module_id, record.unwrap_default, instance);
+            if (!match) {
+                return false;
+            }
+
+            const path = record.key_path;
+            let owner = match.exports;
+            for (let i = 0; i < path.length - 1 && owner != null; i++) {
+                owner = owner[path[i]];
+            }
+
+            const key = path[path.length - 1];
+            if (owner == null || typeof owner[key] !== "function") {
+                this.logger.warn(`Cannot intercept ${path.join(".")} of module ${module_id} (${record.name}): not a function`);
+                return false;
+            }
+
+            const is_top_level_export = owner === module.exports && path.length === 1;
+            const chain = this._get_export_hook_chain(owner, key, is_top_level_export ? module : null, module_id);
+            if (!chain) {
+                this.logger.warn(`Cannot intercept ${path.join(".")} of module ${module_id} (${record.name}): property is not configurable`);
+                return false;
+            }
+
+            chain.hooks.push(record);
+            chain.hooks.sort((a, b) => b.priority - a.priority || a.order - b.order);
+            record.chains.push(chain);
+            return true;
+        }
+
+        /**
+         * Get or create the hook chain of an exported function. The property is replaced by an accessor which returns a wrapper
+         * running the chain's hooks around whatever function the original property currently holds.
+         * Non-configurable top level exports (webpack's getter based ES module exports) are handled by replacing module.exports
+         * with a configurable copy.
+         * @param {Object} owner - Object owning the property
+         * @param {string} key - Property key
+         * @param {Object|null} module - Webpack module object if owner is its exports, allows replacing the exports object
+         * @param {string} module_id - Module ID for logging
+         * @returns {Object|null} Hook chain ({hooks: Array}), null if the property cannot be replaced
+         * @private
+         */
+        _get_export_hook_chain(owner, key, module, module_id) {
+            let chains = this.export_hooks.get(owner);
+            if (chains?.has(key)) {
+                return chains.get(key);
+            }
+
+            let descriptor = Object.getOwnPropertyDescriptor(owner, key);
+            if (descriptor && !descriptor.configurable) {
+                if (!module) {
+                    return null;
+                }
+
+                // copy the exports to an object with configurable properties. Modules which already hold the old exports object won't see the hooks.
+                const shadow = Object.create(Object.getPrototypeOf(owner));
+                for (const prop of Reflect.ownKeys(owner)) {
+                    Object.defineProperty(shadow, prop, { ...Object.getOwnPropertyDescriptor(owner, prop), configurable: true });
+                }
+                if (module.loaded || module.l) {
+                    this.logger.warn(`Replaced exports of already executed module ${module_id}, modules which required it before won't see the intercept`);
+                }
+                module.exports = shadow;
+                owner = shadow;
+                descriptor = Object.getOwnPropertyDescriptor(owner, key);
+                chains = new Map(chains ?? []); // the copied accessors of other intercepted keys still use their chains
+                this.export_hooks.set(owner, chains);
+            }
+
+            const chain = { hooks: [] };
+            const wrappers = new WeakMap(); // original function -> wrapper
+            const self = this;
+
+            const wrap = (fn) => {
+                if (typeof fn !== "function") {
+                    return fn;
+                }
+                if (!wrappers.has(fn)) {
+                    const wrapper = function(...args) {
+                        return self._run_export_hooks(chain, fn, this, args, new.target);
+                    };
+                    wrapper[WebpackPatcher.SYM_ORIGINAL_EXPORT] = fn;
+                    wrapper.prototype = fn.prototype;
+                    wrappers.set(fn, wrapper);
+                }
+                return wrappers.get(fn);
+            };
+
+            let get_value, set_value;
+            if (!descriptor) { // inherited, e.g. a method on the prototype of a class instance
+                let value = owner[key];
+                get_value = () => value;
+                set_value = (new_value) => { value = new_value; };
+            } else if ("value" in descriptor) {
+                let value = descriptor.value;
+                get_value = () => value;
+                set_value = descriptor.writable ? (new_value) => { value = new_value; } : undefined;
+            } else {
+                get_value = function() { return descriptor.get?.call(this); };
+                set_value = descriptor.set;
+            }
+
+            Object.defineProperty(owner, key, {
+                configurable: true,
+                enumerable: descriptor ? descriptor.enumerable : false,
+                get() {
+                    return wrap(get_value.call(this));
+                },
+                set: set_value && function(new_value) {
+                    set_value.call(this, new_value);
+                }
+            });
+
+            if (!chains) {
+                chains = new Map();
+                this.export_hooks.set(owner, chains);
+            }
+            chains.set(key, chain);
+            return chain;
+        }
+
+        /**
+         * Call an intercepted function through the hooks of its chain
+         * @param {Object} chain - Hook chain
+         * @param {Function} original - Original function
+         * @param {any} this_arg - this of the call
+         * @param {Array} args - Call arguments
+         * @param {Function|undefined} new_target - new.target of the call, set if the function is called as a constructor
+         * @returns {any} Result of the call
+         * @private
+         */
+        _run_export_hooks(chain, original, this_arg, args, new_target) {
+            const hooks = [...chain.hooks];
+
+            for (const { hooks: { before }, name } of hooks) {
+                if (!before) continue;
+                try {
+                    const new_args = before(args, this_arg);
+                    if (Array.isArray(new_args)) {
+                        args = new_args;
+                    }
+                } catch (e) {
+                    this.logger.error(`Error in before hook (${name}):`, e);
+                }
+            }
+
+            let call = (...call_args) => new_target
+                ? Reflect.construct(original, call_args, new_target[WebpackPatcher.SYM_ORIGINAL_EXPORT] ? original : new_target)
+                : original.apply(this_arg, call_args);
+            for (let i = hooks.length - 1; i >= 0; i--) { // first hook ends up outermost
+                const { instead } = hooks[i].hooks;
+                if (instead) {
+                    const next = call;
+                    call = (...call_args) => instead(call_args, next, this_arg);
+                }
+            }
+
+            let result = call(...args);
+
+            for (const { hooks: { after }, name } of hooks) {
+                if (!after) continue;
+                try {
+                    const new_result = after(result, args, this_arg);
+                    if (new_result !== undefined) {
+                        result = new_result;
+                    }
+                } catch (e) {
+                    this.logger.error(`Error in after hook (${name}):`, e);
+                }
+            }
+
+            return result;
+        }
+
+        /**
+         * Hook the push function of all global chunk arrays (webpackChunk* / webpackJsonp*) which aren't hooked yet
+         * @private
+         */
+        _hook_chunk_globals() {
+            const names = this.chunk_global_names || Object.keys(window).filter(name => /^(?:webpackChunk|webpackJsonp)/.test(name));
+
+            for (const name of names) {
+                const chunk_array = window[name];
+                if (this.hooked_chunk_globals.has(name) || !Array.isArray(chunk_array)) {
+                    continue;
+                }
+                this.hooked_chunk_globals.add(name);
+                this._hook_chunk_array(chunk_array);
+                this.logger.debug(`Hooked chunk array ${name}`);
+            }
+        }
+
+        /**
+         * Hook the push function of a chunk array. Webpack replaces push with its own callback which calls the previous push
+         * when it's done, so the property is replaced by an accessor which wraps whatever push is currently set.
+         * @param {Array} chunk_array - Chunk array
+         * @private
+         */
+        _hook_chunk_array(chunk_array) {
+            const self = this;
+            let current_push = chunk_array.push;
+            let in_push = false;
+
+            const hooked_push = function(...items) {
+                if (in_push) { // the runtime calls the push it replaced, which is this function if it was hooked before the runtime ran
+                    return Array.prototype.push.apply(this, items);
+                }
+
+                in_push = true;
+                try {
+                    return current_push.apply(this, items);
+                } finally {
+                    in_push = false;
+                    for (const data of items) {
+                        self._handle_chunk_push(data);
+                    }
+                }
+            };
+
+            Object.defineProperty(chunk_array, "push", {
+                configurable: true,
+                enumerable: false,
+                get: () => hooked_push,
+                set: (push) => {
+                    current_push = push;
+                }
+            });
+
+            for (const data of chunk_array) { // chunks loaded before we hooked
+                this._handle_chunk_push(data);
+            }
+        }
+
+        /**
+         * Record a chunk pushed to a chunk array and emit chunk_loaded
+         * @param {Array} data - Chunk data: [chunk_ids, modules, runtime]
+         * @private
+         */
+        _handle_chunk_push(data) {
+            if (!Array.isArray(data) || !Array.isArray(data[0]) || this.handled_chunk_pushes.has(data)) {
+                return;
+            }
+            this.handled_chunk_pushes.add(data);
+
+            const [chunk_ids, modules] = data;
+            const module_ids = modules ? Object.keys(modules) : [];
+            for (const chunk_id of chunk_ids) {
+                this.chunks.set(String(chunk_id), new Set(module_ids));
+            }
+
+            this._emit_event('chunk_loaded', chunk_ids, module_ids);
+
+            if (this.eager_validation && module_ids.length > 0) {
+                this._run_validation({ module_ids });
+            }
+        }
+
+        /**
+         * Get all loaded chunks which contain a module matching a pattern
+         * @param {string|RegExp|Array<string|RegExp>} find - Pattern(s), same semantics as a patch's find
+         * @returns {Array<string>} Chunk IDs
+         */
+        find_chunks(find) {
+            const patch = { find: this._compile_pattern(find) };
+            const chunk_ids = [];
+
+            // chunk arrays are not tied to an instance, check the module in every instance
+            for (const [chunk_id, module_ids] of this.chunks) {
+                const matches = [...module_ids].some(module_id => this.instances.some(instance => {
+                    const factory_str = this._get_original_factory_string(module_id, instance);
+                    return factory_str != null && this._check_pattern_match(factory_str, patch);
+                }));
+                if (matches) {
+                    chunk_ids.push(chunk_id);
+                }
+            }
+            return chunk_ids;
+        }
+
+        /**
+         * Load chunks through webpack's chunk loading (webpack_require.e)
+         * @param {Array<string|number>} chunk_ids - Chunk IDs
+         * @param {string|WebpackInstance} [instance] - Instance (or its name) whose chunk loading to use, defaults to the primary instance
+         * @returns {Promise<void>} Promise resolving once all chunks are loaded
+         */
+        load_chunks(chunk_ids, instance = null) {
+            const webpack_require = this.get_instance(instance)?.webpack_require;
+            if (typeof webpack_require?.e !== "function") {
+                return Promise.reject(new Error("Chunk loading is not available (webpack not detected, unknown instance or no webpack_require.e)"));
+            }
+            return Promise.all(chunk_ids.map(chunk_id => webpack_require.e(chunk_id))).then(() => {});
+        }
+
+        /**
+         * Load the chunks which modules matching a pattern load lazily, i.e. the chunk IDs passed to webpack_require.e in their source.
+         * Useful to load lazy UI modules before they are needed. Chunks are loaded by the instance the matching module belongs to.
+         * @param {string|RegExp|Array<string|RegExp>} find - Pattern(s) matching the modules which load the chunks
+         * @param {string|Function} [instance] - Only search matching instances (name or predicate), all instances if omitted
+         * @returns {Promise<Array<string>>} Promise resolving with the loaded chunk IDs
+         */
+        load_lazy_chunks(find, instance = null) {
+            const patch = { find: this._compile_pattern(find) };
+            const loads = [];
+            const all_ids = new Set();
+
+            for (const target of this._select_instances(instance)) {
+                const chunk_ids = new Set();
+
+                for (const module_id in target.module_factories) {
+                    const factory_str = this._get_original_factory_string(module_id, target);
+                    if (factory_str == null || !this._check_pattern_match(factory_str, patch)) {
+                        continue;
+                    }
+
+                    // webpack_require is the third parameter of a factory: function(e,t,n){...} or (e,t,n)=>{...}
+                    const require_name = factory_str.match(/^[^(]*\(([^)]*)\)/)?.[1].split(",")[2]?.trim();
+                    if (!require_name) {
+                        continue;
+                    }
+                    const escaped_name = require_name.replace(/\$/g, "\\$");
+                    const chunk_load_regex = new RegExp(`(?:^|[^\\w$.])${escaped_name}\\.e\\(\\s*("?)([\\w-]+)\\1\\s*\\)`, "g");
+                    for (const match of factory_str.matchAll(chunk_load_regex)) {
+                        chunk_ids.add(match[2]);
+                        all_ids.add(match[2]);
+                    }
+                }
+
+                if (chunk_ids.size > 0) {
+                    loads.push(this.load_chunks([...chunk_ids], target));
+                }
+            }
+
+            const ids = [...all_ids];
+            this.logger.debug(`Loading ${ids.length} lazy chunk(s):`, ids);
+            return Promise.all(loads).then(() => ids);
+        }
+
+        /**
+         * Resolve all pending module waiters whose filter matches a module which just finished executing
+         * @param {WebpackInstance} instance - Instance the module belongs to
+         * @param {string} module_id - Module ID
+         * @param {Object} module - Webpack module object ({id, loaded, exports})
+         * @private
+         */
+        _resolve_module_waiters(instance, module_id, module) {
+            if (this.module_waiters.length === 0) {
+                return;
+            }
+
+            for (const waiter of [...this.module_waiters]) { // resolving removes the waiter from the array
+                if (!this._instance_matches(waiter.instance, instance)) {
+                    continue;
+                }
+                const match = this._match_exports(waiter.filter, module?.exports, module_id, waiter.unwrap_default, instance);
+                if (match) {
+                    waiter.resolve(match.exports);
+                }
+            }
+        }
+    }
+
+    /**
+     * Helper class for registering patches with buffering support.
+     * Allows patches to be registered before the patcher is initialized.
+     */
+    class WebpackPatchRegistrar {
+        /**
+         * @param {WebpackPatcher|null} patcher - Patcher instance (null if not yet initialized)
+         */
+        constructor(patcher = null) {
+            this.patcher = patcher;
+            this.patch_buffer = [];
+            this.event_listener_buffer = []; // Buffer for event listeners registered before patcher initialization
+            this.wait_for_buffer = []; // Buffer for wait_for_module calls made before patcher initialization
+            this.intercept_buffer = []; // Buffer for intercept calls made before patcher initialization
+            this.set_enabled_buffer = []; // Buffer for enable/disable calls made before patcher initialization, replayed after the patches
+            this.is_flushing = false;
+        }
+
+        /**
+         * Set the patcher instance and flush buffered patches
+         * @param {WebpackPatcher} patcher - Patcher instance
+         */
+        set_patcher(patcher) {
+            if (this.patcher) {
+                patcher.logger.warn("Patcher already set, ignoring duplicate initialization");
+                return;
+            }
+            
+            this.patcher = patcher;
+            this._flush_buffers();
+        }
+
+        /**
+         * Flush all buffered patches and event listeners to the patcher
+         * @private
+         */
+        _flush_buffers() {
+            if (this.is_flushing) {
+                return;
+            }
+            
+            this.is_flushing = true;
+            
+            if (this.patch_buffer.length > 0) {
+                this.patcher.logger.log(`Flushing ${this.patch_buffer.length} buffered patch(es) to patcher`);
+                
+                for (const buffered of this.patch_buffer) {
+                    this.patcher.register_patches(buffered.options, buffered.patches, buffered.registrar);
+                }
+                
+                this.patch_buffer = [];
+                this.patcher.logger.debug("Patch buffer flushed successfully");
+            }
+
+            if (this.set_enabled_buffer.length > 0) {
+                this.patcher.logger.log(`Flushing ${this.set_enabled_buffer.length} buffered enable/disable call(s) to patcher`);
+
+                for (const buffered of this.set_enabled_buffer) {
+                    this.patcher.set_enabled(buffered.registrar_name, buffered.enabled, buffered.patch_index);
+                }
+
+                this.set_enabled_buffer = [];
+                this.patcher.logger.debug("Enable/disable buffer flushed successfully");
+            }
+            
+            if (this.event_listener_buffer.length > 0) {
+                this.patcher.logger.log(`Flushing ${this.event_listener_buffer.length} buffered event listener(s) to patcher`);
+                
+                for (const buffered of this.event_listener_buffer) {
+                    this.patcher.add_event_listener(buffered.event, buffered.callback);
+                }
+                
+                this.event_listener_buffer = [];
+                this.patcher.logger.debug("Event listener buffer flushed successfully");
+            }
+
+            if (this.wait_for_buffer.length > 0) {
+                this.patcher.logger.log(`Flushing ${this.wait_for_buffer.length} buffered module waiter(s) to patcher`);
+
+                for (const buffered of [...this.wait_for_buffer]) { // flushing removes the entry from the buffer
+                    buffered.flush();
+                }
+
+                this.wait_for_buffer = [];
+                this.patcher.logger.debug("Module waiter buffer flushed successfully");
+            }
+
+            if (this.intercept_buffer.length > 0) {
+                this.patcher.logger.log(`Flushing ${this.intercept_buffer.length} buffered intercept(s) to patcher`);
+
+                for (const buffered of this.intercept_buffer) {
+                    buffered.flush();
+                }
+
+                this.intercept_buffer = [];
+                this.patcher.logger.debug("Intercept buffer flushed successfully");
+            }
+            
+            this.is_flushing = false;
+        }
+
+        /**
+         * Register patches with the following structure:
+         * 
+         * @param {Object} options - Registration options
+         * @param {string} options.name - Name of the registrar (creates/gets the registrar object of that name)
+         * @param {string} [options.token] - Token of the registrar object, required if the name is already registered
+         * @param {Object} [options.data] - Initial data object for the registrar
+         * @param {Object} [options.functions] - Initial functions object for the registrar
+         * @param {Array<Object>} patches - Array of patch configurations
+         * @returns {Object} Registrar object with {data: {}, functions: {}} for user to populate, and its token
+         * @throws {Error} If the name is already registered and options.token is not the token of its registrar object
+         * 
+         * @example
+         * WebpackPatcher.register_patches(
+         *   {
+         *       name: string, // required, creates/gets the registrar object of that name
+         *       token: string, // required to get the registrar object of a name which is already registered, registrar.token
+         *       data: object, // initial data object for the registrar
+         *       functions: object // initial functions object for the registrar
+         *   },
+         *   [
+         *       {
+         *           find: string | RegExp | Array<string|RegExp>, // substring or regex to match in module code
+         *           replacements: [
+         *               {
+         *                   match: string | RegExp, // substring or regex to match
+         *                   replace: string | Function, // replacement string or function (function receives same args as String.replace)
+         *                   global: boolean // optional, default false, if true uses replaceAll
+         *               }
+         *           ]
+         *       }
+         *   ]
+         * );
+         */
+        register_patches(options, patches) {
+            if (this.patcher) {
+                return this.patcher.register_patches(options, patches);
+            } else {
+                if (!options.name) {
+                    throw new Error("Registrar name is required");
+                }
+                // keep reference to this object for flushing later, later registrations with the same name get the same object
+                const existing = this.patch_buffer.find(buffered => buffered.options.name === options.name)?.registrar;
+                if (existing) {
+                    WebpackPatcher.check_registrar_token(existing, options);
+                    if (options.replace) {
+                        existing.data = options.data || existing.data;
+                        existing.functions = options.functions || existing.functions;
+                    }
+                }
+                const registrar_obj = existing || WebpackPatcher.create_registrar_object(options);
+                
+                this.patch_buffer.push({ 
+                    options, 
+                    patches, 
+                    registrar: registrar_obj
+                });
+                console.debug("[WebpackPatcher]", `Buffered ${patches.length} patch(es) for "${options.name}" (patcher not yet initialized)`);
+                
+                return registrar_obj;
+            }
+        }
+
+        /**
+         * Add an event listener for webpack events
+         * @param {string} event - Event name: "webpack_detected", "module_registered", "module_patched", "patch_missed", "patch_conflict", "patch_failed", "chunk_loaded"
+         * @param {Function} callback - Callback function
+         * 
+         * Events:
+         * - webpack_detected: (webpack_require, module_factories, instance, runtime) => void, runtime: {flavour, modules_property, cache_property, own_cache}.
+         *   Emitted once the runtime finished its setup, before its first module executes
+         * - module_registered: (module_id, factory, instance) => void
+         * - module_patched: (module_id, patched_factory, original_factory, instance) => void
+         * - patch_missed: (registrar_name, missed_module_keys, repatched_module_keys) => void
+         * - patch_conflict: (conflict) => void, see get_conflicts
+         * - patch_failed: (module_id, error, faulty_patches, instance) => void, faulty_patches: Array<{registrar_name, patch_index}>, only with safe_execution
+         * - chunk_loaded: (chunk_ids, module_ids) => void
+         * 
+         * @example
+         * WebpackPatcher.addEventListener('webpack_detected', (wreq, factories) => {
+         *     console.log('Webpack detected!', wreq);
+         * });
+         * 
+         * @example
+         * WebpackPatcher.addEventListener('module_registered', (module_id, factory) => {
+         *     console.log('Module registered:', module_id);
+         * });
+         * 
+         * @example
+         * WebpackPatcher.addEventListener('module_patched', (module_id, patched, original) => {
+         *     console.log('Module patched:', module_id);
+         * });
+         */
+        add_event_listener(event, callback) {
+            if (this.patcher) {
+                this.patcher.add_event_listener(event, callback);
+            } else {
+                this.event_listener_buffer.push({ event, callback });
+                console.debug("[WebpackPatcher]", `Buffered event listener for '${event}' (patcher not yet initialized, total buffered: ${this.event_listener_buffer.length})`);
+            }
+        }
+
+        /**
+         * Remove an event listener
+         * @param {string} event - Event name
+         * @param {Function} callback - Callback function to remove
+         */
+        remove_event_listener(event, callback) {
+            if (this.patcher) {
+                this.patcher.remove_event_listener(event, callback);
+            }
+        }
+
+        /**
+         * Intercept an exported function of a module without rewriting its source. Safe to call before the patcher or webpack is initialized.
+         * @param {Function} filter - Filter function: (exports, module_id, instance) => boolean
+         * @param {string|Array<string>} key_path - Path to the function, relative to the matched exports, e.g. "default.prototype.render"
+         * @param {Object} hooks - Hooks ({before, instead, after}), see WebpackPatcher.intercept
+         * @param {Object} [options] - Intercept options ({name, priority, all, unwrap_default, instance}), see WebpackPatcher.intercept
+         * @returns {{unpatch: Function}} Handle to remove the hooks again
+         *
+         * @example
+         * const handle = WebpackPatcher.intercept(WebpackPatcher.filters.byProps("startTyping"), "startTyping", {
+         *     instead: (args, original) => enabled ? undefined : original(...args)
+         * }, { name: "Silent Typing" });
+         * handle.unpatch();
+         */
+        intercept(filter, key_path, hooks, options = {}) {
+            if (this.patcher) {
+                return this.patcher.intercept(filter, key_path, hooks, options);
+            }
+
+            let handle = null;
+            const buffered = {
+                flush: () => {
+                    handle = this.patcher.intercept(filter, key_path, hooks, options);
+                }
+            };
+            this.intercept_buffer.push(buffered);
+            console.debug("[WebpackPatcher]", `Buffered intercept (patcher not yet initialized, total buffered: ${this.intercept_buffer.length})`);
+
+            return {
+                unpatch: () => {
+                    if (handle) {
+                        handle.unpatch();
+                        return;
+                    }
+                    const index = this.intercept_buffer.indexOf(buffered);
+                    if (index > -1) {
+                        this.intercept_buffer.splice(index, 1);
+                    }
+                }
+            };
+        }
+
+        /**
+         * Get all loaded chunks which contain a module matching a pattern
+         * @param {string|RegExp|Array<string|RegExp>} find - Pattern(s), same semantics as a patch's find
+         * @returns {Array<string>} Chunk IDs
+         */
+        find_chunks(find) {
+            return this.patcher?.find_chunks(find) || [];
+        }
+
+        /**
+         * Load chunks through webpack's chunk loading
+         * @param {Array<string|number>} chunk_ids - Chunk IDs
+         * @param {string} [instance] - Name of the instance whose chunk loading to use, defaults to the primary instance
+         * @returns {Promise<void>} Promise resolving once all chunks are loaded
+         */
+        load_chunks(chunk_ids, instance = null) {
+            if (!this.patcher) {
+                return Promise.reject(new Error("Patcher not initialized"));
+            }
+            return this.patcher.load_chunks(chunk_ids, instance);
+        }
+
+        /**
+         * Load the chunks which modules matching a pattern load lazily
+         * @param {string|RegExp|Array<string|RegExp>} find - Pattern(s) matching the modules which load the chunks
+         * @param {string|Function} [instance] - Only search matching instances (name or predicate), all instances if omitted
+         * @returns {Promise<Array<string>>} Promise resolving with the loaded chunk IDs
+         *
+         * @example
+         * await WebpackPatcher.loadLazyChunks('"USER_SETTINGS_MODAL"');
+         */
+        load_lazy_chunks(find, instance = null) {
+            if (!this.patcher) {
+                return Promise.reject(new Error("Patcher not initialized"));
+            }
+            return this.patcher.load_lazy_chunks(find, instance);
+        }
+
+        /**
+         * Get all loaded chunks and the modules they contributed
+         * @returns {Object} chunk_id -> Array of module IDs
+         */
+        get chunks() {
+            const chunks = {};
+            for (const [chunk_id, module_ids] of this.patcher?.chunks || []) {
+                chunks[chunk_id] = [...module_ids];
+            }
+            return chunks;
+        }
+
+        /**
+         * Unregister a registrar and remove all of its patches
+         * @param {string} registrar_name - Name of the registrar
+         * @returns {{removed_patches: number, still_patched_modules: Array<string>}|null} Result, null if the registrar is unknown
+         */
+        unregister(registrar_name) {
+            if (this.patcher) {
+                return this.patcher.unregister(registrar_name);
+            }
+
+            const removed = this.patch_buffer.filter(buffered => buffered.options.name === registrar_name);
+            if (removed.length === 0) {
+                return null;
+            }
+            this.patch_buffer = this.patch_buffer.filter(buffered => buffered.options.name !== registrar_name);
+            this.set_enabled_buffer = this.set_enabled_buffer.filter(buffered => buffered.registrar_name !== registrar_name);
+            return { removed_patches: removed.reduce((sum, buffered) => sum + buffered.patches.length, 0), still_patched_modules: [] };
+        }
+
+        /**
+         * Enable or disable a registrar or a single patch of it
+         * @param {string} registrar_name - Name of the registrar
+         * @param {boolean} enabled - Whether the patches should be applied
+         * @param {number} [patch_index] - Index of the patch within the registrar, toggles the whole registrar if omitted
+         * @returns {{still_patched_modules: Array<string>}|null} Already executed modules which remain patched, null if the registrar or patch is unknown
+         */
+        set_enabled(registrar_name, enabled, patch_index = null) {
+            if (this.patcher) {
+                return this.patcher.set_enabled(registrar_name, enabled, patch_index);
+            }
+
+            const registrations = this.patch_buffer.filter(buffered => buffered.options.name === registrar_name);
+            const patch_count = registrations.reduce((sum, buffered) => sum + buffered.patches.length, 0);
+            if (registrations.length === 0 || (patch_index != null && !(patch_index >= 0 && patch_index < patch_count))) {
+                return null;
+            }
+            this.set_enabled_buffer.push({ registrar_name, enabled, patch_index });
+            console.debug("[WebpackPatcher]", `Buffered ${enabled ? "enable" : "disable"} of "${registrar_name}" (patcher not yet initialized)`);
+            return { still_patched_modules: [] };
+        }
+
+        /**
+         * Get all detected conflicts between patches of different registrars
+         * @param {string} [registrar_name] - Only return conflicts this registrar is involved in
+         * @returns {Array<Object>} Conflicts, see WebpackPatcher.get_conflicts
+         */
+        get_conflicts(registrar_name = null) {
+            return this.patcher?.get_conflicts(registrar_name) || [];
+        }
+
+        /**
+         * Get a structured report of what every registered patch did so far
+         * @param {string} [registrar_name] - Only report patches of this registrar
+         * @returns {Object|null} Report object, see WebpackPatcher.get_patch_report, null if the patcher is not initialized
+         */
+        get_patch_report(registrar_name = null) {
+            return this.patcher?.get_patch_report(registrar_name) || null;
+        }
+
+        /**
+         * Validate patches against every known module without applying them
+         * @param {Object} [options] - Validation options: {instance, module_ids}, see WebpackPatcher.validate_patches
+         * @returns {Object|null} Validation report, see WebpackPatcher.get_validation_report, null if the patcher is not initialized
+         */
+        validate_patches(options = {}) {
+            return this.patcher?.validate_patches({ instance: options.instance, module_ids: options.module_ids }) || null;
+        }
+
+        /**
+         * Get a pass/fail summary of all validation results so far
+         * @param {string} [registrar_name] - Only report patches of this registrar
+         * @returns {Object|null} Validation report, see WebpackPatcher.get_validation_report, null if the patcher is not initialized
+         */
+        get_validation_report(registrar_name = null) {
+            return this.patcher?.get_validation_report(registrar_name) || null;
+        }
+
+        /**
+         * Get the state of the auto-detection, which is used on sites without a configuration
+         * @returns {Object|null} Report object, see WebpackPatcher.get_detection_report, null if the patcher is not initialized
+         */
+        get_detection_report() {
+            return this.patcher?.get_detection_report() || null;
+        }
+
+        /**
+         * Confirm the instance picked by the auto-detection for later visits
+         * @returns {string|null} Stored detection key, null if there is nothing to confirm
+         */
+        confirm_detection() {
+            return this.patcher?.confirm_detection() || null;
+        }
+
+        /**
+         * Override the instance picked by the auto-detection, now and on later visits
+         * @param {string} instance_name - Name of the instance, see get_detection_report
+         * @returns {boolean} True if the instance was found and picked
+         */
+        override_detection(instance_name) {
+            return this.patcher?.override_detection(instance_name) || false;
+        }
+
+        /**
+         * Forget the confirmed or overridden auto-detection choice
+         */
+        reset_detection() {
+            this.patcher?.reset_detection();
+        }
+
+        /**
+         * Clear the persistent cache of patch results, see the persistent_cache option
+         */
+        clear_persistent_cache() {
+            this.patcher?.clear_persistent_cache();
         }
-    }
 
-    /**
-     * Helper class for registering patches with buffering support.
-     * Allows patches to be registered before the patcher is initialized.
-     */
-    class WebpackPatchRegistrar {
         /**
-         * @param {WebpackPatcher|null} patcher - Patcher instance (null if not yet initialized)
+         * Export the original source of every known module as a JSON serializable snapshot
+         * @param {Object} [options] - Dump options, see WebpackPatcher.dump_modules
+         * @returns {Object|null} Snapshot, null if the patcher is not initialized
          */
-        constructor(patcher = null) {
-            this.patcher = patcher;
-            this.patch_buffer = [];
-            this.event_listener_buffer = []; // Buffer for event listeners registered before patcher initialization
-            this.is_flushing = false;
+        dump_modules(options = {}) {
+            return this.patcher?.dump_modules(options) || null;
         }
 
         /**
-         * Set the patcher instance and flush buffered patches
-         * @param {WebpackPatcher} patcher - Patcher instance
+         * Save a snapshot of all modules as a JSON file
+         * @param {Object} [options] - Dump options, see WebpackPatcher.dump_modules
+         * @returns {Object|null} Snapshot, null if the patcher is not initialized
          */
-        set_patcher(patcher) {
-            if (this.patcher) {
-                patcher.logger.warn("Patcher already set, ignoring duplicate initialization");
-                return;
-            }
-            
-            this.patcher = patcher;
-            this._flush_buffers();
+        download_module_dump(options = {}) {
+            return this.patcher?.download_module_dump(options) || null;
         }
 
         /**
-         * Flush all buffered patches and event listeners to the patcher
-         * @private
+         * Get timing metrics of the matching stage
+         * @returns {Object|null} Metrics, see WebpackPatcher.get_match_metrics, null if the patcher is not initialized
          */
-        _flush_buffers() {
-            if (this.is_flushing) {
-                return;
-            }
-            
-            this.is_flushing = true;
-            
-            if (this.patch_buffer.length > 0) {
-                this.patcher.logger.log(`Flushing ${this.patch_buffer.length} buffered patch(es) to patcher`);
-                
-                for (const buffered of this.patch_buffer) {
-                    this.patcher.register_patches(buffered.options, buffered.patches, buffered.registrar);
-                }
-                
-                this.patch_buffer = [];
-                this.patcher.logger.debug("Patch buffer flushed successfully");
-            }
-            
-            if (this.event_listener_buffer.length > 0) {
-                this.patcher.logger.log(`Flushing ${this.event_listener_buffer.length} buffered event listener(s) to patcher`);
-                
-                for (const buffered of this.event_listener_buffer) {
-                    this.patcher.add_event_listener(buffered.event, buffered.callback);
-                }
-                
-                this.event_listener_buffer = [];
-                this.patcher.logger.debug("Event listener buffer flushed successfully");
-            }
-            
-            this.is_flushing = false;
+        get_match_metrics() {
+            return this.patcher?.get_match_metrics() || null;
         }
 
         /**
-         * Register patches with the following structure:
-         * 
-         * @param {Object} options - Registration options
-         * @param {string} options.name - Name of the registrar (creates/gets object at WebpackPatcher.Registrars[name])
-         * @param {Object} [options.data] - Initial data object for the registrar
-         * @param {Object} [options.functions] - Initial functions object for the registrar
-         * @param {Array<Object>} patches - Array of patch configurations
-         * @returns {Object} Registrar object with {data: {}, functions: {}} for user to populate
-         * 
+         * Get which strategy is used to evaluate patched code
+         * @returns {Object|null} Evaluation info, see WebpackPatcher.get_evaluation_info, null if the patcher is not initialized
+         */
+        get_evaluation_info() {
+            return this.patcher?.get_evaluation_info() || null;
+        }
+
+        /**
+         * Compare the find matcher against testing every patch on its own on all known modules
+         * @param {string|Function} [instance] - Only use modules of matching instances (name or predicate)
+         * @returns {Object|null} Result, see WebpackPatcher.benchmark_matching, null if the patcher is not initialized
+         */
+        benchmark_matching(instance = null) {
+            return this.patcher?.benchmark_matching(instance) || null;
+        }
+
+        /**
+         * Find loaded modules whose exports match a filter. Safe to call before webpack is detected.
+         * @param {Function} filter - Filter function: (exports, module_id, instance) => boolean
+         * @param {Object} [options] - Find options
+         * @param {boolean} [options.all=false] - Return all matches instead of the first one
+         * @param {boolean} [options.unwrap_default=true] - Also test (and return) the default export of ES modules
+         * @param {string|Function} [options.instance] - Only search matching instances (name or predicate), all instances if omitted
+         * @returns {any|Array<any>|null} Matching exports (array if options.all), null/empty array if nothing matched
+         *
          * @example
-         * WebpackPatcher.register_patches(
-         *   {
-         *       name: string, // required, creates/gets WebpackPatcher.Registrars[name]
-         *       data: object, // initial data object for the registrar
-         *       functions: object // initial functions object for the registrar
-         *   },
-         *   [
-         *       {
-         *           find: string | RegExp | Array<string|RegExp>, // substring or regex to match in module code
-         *           replacements: [
-         *               {
-         *                   match: string | RegExp, // substring or regex to match
-         *                   replace: string | Function, // replacement string or function (function receives same args as String.replace)
-         *                   global: boolean // optional, default false, if true uses replaceAll
-         *               }
-         *           ]
-         *       }
-         *   ]
-         * );
+         * WebpackPatcher.findByExports(exports => typeof exports.dispatch === "function");
          */
-        register_patches(options, patches) {
-            if (this.patcher) {
-                return this.patcher.register_patches(options, patches);
-            } else {
-                // keep reference to this object for flushing later
-                const registrar_obj = {
-                    data: options.data || {},
-                    functions: options.functions || {}
-                };
-                
-                this.patch_buffer.push({ 
-                    options, 
-                    patches, 
-                    registrar: registrar_obj
-                });
-                console.debug("[WebpackPatcher]", `Buffered ${patches.length} patch(es) for "${options.name}" (patcher not yet initialized)`);
-                
-                return registrar_obj;
+        find_module(filter, options = {}) {
+            if (!this.patcher) {
+                return options.all ? [] : null;
             }
+            return this.patcher.find_module(filter, options);
         }
 
         /**
-         * Add an event listener for webpack events
-         * @param {string} event - Event name: "webpack_detected", "module_registered", "module_patched"
-         * @param {Function} callback - Callback function
-         * 
-         * Events:
-         * - webpack_detected: (webpack_require, module_factories) => void
-         * - module_registered: (module_id, factory) => void
-         * - module_patched: (module_id, patched_factory, original_factory) => void
-         * 
+         * Find loaded modules whose exports have all given properties
+         * @param {string|Array<string>} props - Property name(s)
+         * @param {Object} [options] - Find options, see find_module
+         * @returns {any|Array<any>|null} Matching exports
+         *
          * @example
-         * WebpackPatcher.addEventListener('webpack_detected', (wreq, factories) => {
-         *     console.log('Webpack detected!', wreq);
-         * });
-         * 
+         * WebpackPatcher.findByProps(["getCurrentUser", "getUser"]);
+         */
+        find_by_props(props, options = {}) {
+            return this.find_module(this.patcher?.filter_by_props(props), options);
+        }
+
+        /**
+         * Find loaded modules whose original factory source matches a pattern
+         * @param {string|RegExp|Array<string|RegExp>} code - Pattern(s), same semantics as a patch's find
+         * @param {Object} [options] - Find options, see find_module
+         * @returns {any|Array<any>|null} Matching exports
+         *
          * @example
-         * WebpackPatcher.addEventListener('module_registered', (module_id, factory) => {
-         *     console.log('Module registered:', module_id);
-         * });
-         * 
+         * WebpackPatcher.findByCode('.dispatch({type:"TYPING_START_LOCAL"');
+         */
+        find_by_code(code, options = {}) {
+            return this.find_module(this.patcher?.filter_by_code(code), options);
+        }
+
+        /**
+         * Create a filter matching exports which have all given properties, for use with wait_for_module
+         * @param {string|Array<string>} props - Property name(s)
+         * @returns {Function} Filter function: (exports, module_id, instance) => boolean
+         */
+        filter_by_props(props) {
+            return (exports, module_id, instance) => this.patcher ? this.patcher.filter_by_props(props)(exports, module_id, instance) : false;
+        }
+
+        /**
+         * Search the original source of all module factories, optionally testing a candidate patch on the results
+         * @param {string|RegExp} pattern - Substring or regex, supports the \i shorthand
+         * @param {Object} [options] - Search options, see WebpackPatcher.search
+         * @returns {Object|null} Result, see WebpackPatcher.search, null if the patcher is not initialized
+         *
          * @example
-         * WebpackPatcher.addEventListener('module_patched', (module_id, patched, original) => {
-         *     console.log('Module patched:', module_id);
-         * });
+         * WebpackPatcher.search("TYPING_START_LOCAL", { test: { replacements: [{ match: /startTyping\((\i)\)/, replace: (_, $1) => `startTyping(${$1},true)` }] } });
          */
-        add_event_listener(event, callback) {
-            if (this.patcher) {
-                this.patcher.add_event_listener(event, callback);
-            } else {
-                this.event_listener_buffer.push({ event, callback });
-                console.debug("[WebpackPatcher]", `Buffered event listener for '${event}' (patcher not yet initialized, total buffered: ${this.event_listener_buffer.length})`);
-            }
+        search(pattern, options = {}) {
+            return this.patcher?.search(pattern, options) || null;
         }
 
         /**
-         * Remove an event listener
-         * @param {string} event - Event name
-         * @param {Function} callback - Callback function to remove
+         * Create a filter matching modules by their original factory source, for use with wait_for_module
+         * @param {string|RegExp|Array<string|RegExp>} code - Pattern(s), same semantics as a patch's find
+         * @returns {Function} Filter function: (exports, module_id, instance) => boolean
          */
-        remove_event_listener(event, callback) {
+        filter_by_code(code) {
+            return (exports, module_id, instance) => this.patcher ? this.patcher.filter_by_code(code)(exports, module_id, instance) : false;
+        }
+
+        /**
+         * Wait for a module whose exports match a filter. Safe to call before the patcher or webpack is initialized.
+         * @param {Function} filter - Filter function: (exports, module_id, instance) => boolean
+         * @param {Object} [options] - Wait options
+         * @param {number} [options.timeout=0] - Reject after this many milliseconds, 0 to wait forever
+         * @param {AbortSignal} [options.signal] - Signal to cancel waiting, rejects with the signal's reason
+         * @param {boolean} [options.unwrap_default=true] - Also test (and resolve with) the default export of ES modules
+         * @param {string|Function} [options.instance] - Only wait for modules of matching instances (name or predicate)
+         * @returns {Promise<any>} Promise resolving with the matching exports
+         *
+         * @example
+         * const player = await WebpackPatcher.waitFor(WebpackPatcher.filters.byProps(["isRadio", "getContext"]), { timeout: 10000 });
+         */
+        wait_for_module(filter, options = {}) {
             if (this.patcher) {
-                this.patcher.remove_event_listener(event, callback);
+                return this.patcher.wait_for_module(filter, options);
             }
+
+            return new Promise((resolve, reject) => {
+                const { timeout = 0, signal = null } = options;
+                const started = Date.now();
+                let timeout_id = null;
+
+                const cleanup = () => {
+                    const index = this.wait_for_buffer.indexOf(buffered);
+                    if (index > -1) {
+                        this.wait_for_buffer.splice(index, 1);
+                    }
+                    if (timeout_id !== null) {
+                        clearTimeout(timeout_id);
+                    }
+                    signal?.removeEventListener("abort", on_abort);
+                };
+                const on_abort = () => {
+                    cleanup();
+                    reject(signal.reason);
+                };
+                const buffered = {
+                    flush: () => {
+                        cleanup();
+                        const remaining = timeout > 0 ? Math.max(1, timeout - (Date.now() - started)) : 0;
+                        this.patcher.wait_for_module(filter, { ...options, timeout: remaining }).then(resolve, reject);
+                    }
+                };
+
+                if (signal?.aborted) {
+                    reject(signal.reason);
+                    return;
+                }
+                if (timeout > 0) {
+                    timeout_id = setTimeout(() => {
+                        cleanup();
+                        reject(new Error(`Timed out after ${timeout}ms waiting for module`));
+                    }, timeout);
+                }
+                signal?.addEventListener("abort", on_abort, { once: true });
+
+                this.wait_for_buffer.push(buffered);
+                console.debug("[WebpackPatcher]", `Buffered module waiter (patcher not yet initialized, total buffered: ${this.wait_for_buffer.length})`);
+            });
         }
 
 
@@ -800,19 +4670,31 @@
         }
 
         /**
-         * Get the webpack require function (if detected)
+         * Get all detected webpack instances, in detection order
+         * @returns {Array<WebpackInstance>} Instances ({name, index, webpack_require, module_factories, webpack_cache, script, patched_modules})
+         */
+        get instances() {return this.patcher ? [...this.patcher.instances] : [];}
+
+        /**
+         * Get the primary webpack instance, the one webpackRequire, moduleFactories and moduleCache refer to
+         * @returns {WebpackInstance|null} Primary instance or null
+         */
+        get primary_instance() {return this.patcher?.primary_instance || null;}
+
+        /**
+         * Get the webpack require function of the primary instance (if detected)
          * @returns {Function|null} Webpack require function or null
          */
         get webpack_require() {return this.patcher?.webpack_require || null;}
 
         /**
-         * Get the webpack module factories object (if detected)
+         * Get the webpack module factories object of the primary instance (if detected)
          * @returns {Object|null} Module factories or null
          */
         get module_factories() {return this.patcher?.module_factories || null;}
 
         /**
-         * Get the webpack cache object (if detected)
+         * Get the webpack cache object of the primary instance (if detected)
          * @returns {Object|null} Webpack cache or null
          */
         get webpack_cache() {return this._Webpack_cache};
@@ -824,7 +4706,7 @@
         get patches() {return this.patcher?.patches || [];}
 
         /**
-         * Get set of patched module IDs
+         * Get set of patched module IDs of the primary instance
          * @returns {Set} Set of module IDs that have been patched
          */
         get patched_modules() {return this.patcher?.patched_modules || new Set();}
@@ -837,10 +4719,270 @@
     }
 
 
-    function main(CONFIGURATIONS) {
+    const CONFIGURATION_STORAGE_KEY = "WebpackPatcher.configurations";
+    const CONFIGURATION_GLOBAL_NAME = "WebpackPatcherConfigurations";
+
+    // patcher options an external configuration may set, with their expected type
+    const SERIALIZABLE_OPTIONS = {
+        enable_cache: "boolean",
+        use_eval: "boolean",
+        source_maps: "boolean",
+        persistent_cache: "boolean",
+        fast_matching: "boolean",
+        safe_execution: "boolean",
+        eager_validation: "boolean",
+        evaluation_strategy: "string",
+        trusted_types_policy: "string",
+        expose_registrars: "boolean",
+        repatch_executed: "boolean",
+        multiple_instances: "boolean",
+        auto_detect: "boolean",
+        webpack_property_names: "object",
+        chunk_global_names: "array"
+    };
+
+    /**
+     * Check if a string is a valid regular expression
+     * @param {string} pattern - Pattern
+     * @returns {string|null} Error message, null if valid
+     */
+    function check_regex(pattern) {
+        if (typeof pattern !== "string" || pattern.length === 0) {
+            return "must be a non-empty string";
+        }
+        try {
+            new RegExp(pattern);
+            return null;
+        } catch (e) {
+            return `is not a valid regex (${e.message})`;
+        }
+    }
+
+    /**
+     * Validate a serializable site configuration
+     * @param {Object} config - Configuration, see create_configuration
+     * @returns {Array<string>} Errors, empty if the configuration is valid
+     */
+    function validate_configuration(config) {
+        if (config === null || typeof config !== "object" || Array.isArray(config)) {
+            return ["configuration must be an object"];
+        }
+
+        const errors = [];
+        const known_keys = ["name", "hostnames", "url_pattern", "script_pattern", "options"];
+        for (const key of Object.keys(config)) {
+            if (key === "site_match" || typeof config[key] === "function") {
+                errors.push(`${key}: functions are not serializable, use hostnames, url_pattern and script_pattern instead`);
+            } else if (!known_keys.includes(key)) {
+                errors.push(`${key}: unknown key (allowed: ${known_keys.join(", ")})`);
+            }
+        }
+
+        if (typeof config.name !== "string" || config.name.trim().length === 0) {
+            errors.push("name: must be a non-empty string");
+        }
+
+        if (config.hostnames === undefined && config.url_pattern === undefined) {
+            errors.push("hostnames or url_pattern is required");
+        }
+        if (config.hostnames !== undefined && (!Array.isArray(config.hostnames) || config.hostnames.length === 0 || !config.hostnames.every(h => typeof h === "string" && h.length > 0))) {
+            errors.push("hostnames: must be a non-empty array of hostnames, e.g. [\"example.com\", \"*.example.com\"]");
+        }
+        for (const key of ["url_pattern", "script_pattern"]) {
+            if (config[key] !== undefined) {
+                const error = check_regex(config[key]);
+                if (error) {
+                    errors.push(`${key}: ${error}`);
+                }
+            }
+        }
+
+        const options = config.options;
+        if (options !== undefined) {
+            if (options === null || typeof options !== "object" || Array.isArray(options)) {
+                errors.push("options: must be an object");
+            } else {
+                for (const [key, value] of Object.entries(options)) {
+                    const type = SERIALIZABLE_OPTIONS[key];
+                    if (!type) {
+                        errors.push(`options.${key}: unknown or not serializable option (allowed: ${Object.keys(SERIALIZABLE_OPTIONS).join(", ")})`);
+                    } else if (type === "array" ? !Array.isArray(value) || !value.every(v => typeof v === "string") : typeof value !== type || value === null) {
+                        errors.push(`options.${key}: must be ${type === "array" ? "an array of strings" : `a ${type}`}`);
+                    }
+                }
+                const strategy = options.evaluation_strategy;
+                if (typeof strategy === "string" && strategy !== "auto" && !WebpackPatcher.EVALUATION_STRATEGIES.includes(strategy)) {
+                    errors.push(`options.evaluation_strategy: must be "auto" or one of ${WebpackPatcher.EVALUATION_STRATEGIES.join(", ")}`);
+                }
+                const names = options.webpack_property_names;
+                if (names && typeof names === "object" && (typeof names.modules !== "string" || typeof names.cache !== "string")) {
+                    errors.push("options.webpack_property_names: must be {modules: string, cache: string}");
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Convert a serializable site configuration into the format of the CONFIGURATIONS array
+     * @param {Object} config - Validated configuration
+     * @param {string} config.name - Unique name, an external configuration replaces a built-in one with the same name
+     * @param {Array<string>} [config.hostnames] - Hostnames the configuration applies to, "*.example.com" also matches subdomains
+     * @param {string} [config.url_pattern] - Regex the URL has to match
+     * @param {string} [config.script_pattern] - Regex the script which initializes webpack (last stack line) has to match
+     * @param {Object} [config.options] - Patcher options, only the ones in SERIALIZABLE_OPTIONS
+     * @param {string} source - Where the configuration comes from
+     * @returns {Object} Configuration: {name, source, site_match, options}
+     */
+    function create_configuration(config, source) {
+        const hostnames = config.hostnames || null;
+        const url_regex = config.url_pattern ? new RegExp(config.url_pattern) : null;
+        const script_regex = config.script_pattern ? new RegExp(config.script_pattern) : null;
+
+        const options = { ...config.options };
+        if (script_regex) {
+            options.filter_func = (ctx, stack_lines) => script_regex.test(stack_lines[stack_lines.length-1]);
+        }
+
+        return {
+            name: config.name,
+            source,
+            site_match: () => {
+                const hostname_matches = !hostnames || hostnames.some(hostname => hostname.startsWith("*.")
+                    ? location.hostname === hostname.slice(2) || location.hostname.endsWith(hostname.slice(1))
+                    : location.hostname === hostname);
+                return hostname_matches && (!url_regex || url_regex.test(location.href));
+            },
+            options
+        };
+    }
+
+    /**
+     * Read the configurations other scripts stored in localStorage
+     * @returns {Array<Object>} Stored serializable configurations
+     */
+    function read_stored_configurations() {
+        const stored = window.localStorage.getItem(CONFIGURATION_STORAGE_KEY);
+        if (stored === null) {
+            return [];
+        }
+        const parsed = JSON.parse(stored);
+        if (!Array.isArray(parsed)) {
+            throw new Error(`${CONFIGURATION_STORAGE_KEY} must contain a JSON array`);
+        }
+        return parsed;
+    }
+
+    /**
+     * Collect the configurations of all sources, ordered by precedence: window.WebpackPatcherConfigurations,
+     * then localStorage, then the built-in CONFIGURATIONS. Of configurations sharing a name only the first one is used.
+     * Invalid configurations are skipped and reported.
+     * @param {Logger} logger - Logger
+     * @param {Array<Object>} builtin_configurations - The built-in CONFIGURATIONS
+     * @returns {{configurations: Array<Object>, report: Array<Object>}} Usable configurations and a report entry
+     *  ({name, source, valid, errors, shadowed_by}) for every configuration seen
+     */
+    function collect_configurations(logger, builtin_configurations) {
+        const sources = [];
+
+        const declared = window[CONFIGURATION_GLOBAL_NAME];
+        if (declared !== undefined) {
+            if (Array.isArray(declared)) {
+                sources.push({ source: `window.${CONFIGURATION_GLOBAL_NAME}`, entries: declared });
+            } else {
+                logger.error(`Ignoring window.${CONFIGURATION_GLOBAL_NAME}, it must be an array of configurations`);
+            }
+        }
+
+        try {
+            sources.push({ source: `localStorage["${CONFIGURATION_STORAGE_KEY}"]`, entries: read_stored_configurations() });
+        } catch (e) {
+            logger.error(`Ignoring stored configurations, localStorage["${CONFIGURATION_STORAGE_KEY}"] is invalid:`, e);
+        }
+
+        const configurations = [];
+        const report = [];
+        const used_names = new Map(); // name -> source of the configuration using it
+
+        const add = (configuration, source, errors) => {
+            const name = configuration?.name ?? null;
+            const entry = { name, source, valid: errors.length === 0, errors, shadowed_by: null };
+            report.push(entry);
+
+            if (!entry.valid) {
+                logger.error(`Ignoring invalid configuration "${name}" from ${source}:\n- ${errors.join("\n- ")}`);
+                return;
+            }
+            if (used_names.has(name)) {
+                entry.shadowed_by = used_names.get(name);
+                logger.debug(`Configuration "${name}" from ${source} is replaced by the one from ${entry.shadowed_by}`);
+                return;
+            }
+            used_names.set(name, source);
+            configurations.push(configuration);
+        };
+
+        for (const { source, entries } of sources) {
+            for (const config of entries) {
+                const errors = validate_configuration(config);
+                add(errors.length === 0 ? create_configuration(config, source) : config, source, errors);
+            }
+        }
+        for (const configuration of builtin_configurations) {
+            add({ ...configuration, source: "built-in" }, "built-in", []);
+        }
+
+        return { configurations, report };
+    }
+
+    /**
+     * Store a configuration in localStorage so it is used on the next page load, replacing a stored one with the same name
+     * @param {Object} config - Serializable configuration, see create_configuration
+     * @throws {Error} If the configuration is invalid
+     */
+    function save_configuration(config) {
+        const errors = validate_configuration(config);
+        if (errors.length > 0) {
+            throw new Error(`Invalid configuration "${config?.name}":\n- ${errors.join("\n- ")}`);
+        }
+        let stored = [];
+        try {
+            stored = read_stored_configurations();
+        } catch (e) {
+            // overwrite invalid stored data
+        }
+        stored = stored.filter(c => c?.name !== config.name);
+        stored.push(config);
+        window.localStorage.setItem(CONFIGURATION_STORAGE_KEY, JSON.stringify(stored));
+    }
+
+    /**
+     * Remove a configuration from localStorage. Invalid stored data, which collect_configurations ignores, is removed completely.
+     * @param {string} name - Name of the configuration
+     * @returns {boolean} True if a configuration or invalid stored data was removed
+     */
+    function remove_configuration(name) {
+        let stored;
+        try {
+            stored = read_stored_configurations();
+        } catch (e) {
+            window.localStorage.removeItem(CONFIGURATION_STORAGE_KEY);
+            return true;
+        }
+        const remaining = stored.filter(c => c?.name !== name);
+        if (remaining.length === stored.length) {
+            return false;
+        }
+        window.localStorage.setItem(CONFIGURATION_STORAGE_KEY, JSON.stringify(remaining));
+        return true;
+    }
+
+    function main(CONFIGURATIONS, FALLBACK_CONFIGURATION) {
         const logger = new Logger("[WebpackPatcher]", "debug");
 
-        const matching_configuration = CONFIGURATIONS.find(config => config.site_match());
+        const { configurations, report: configuration_report } = collect_configurations(logger, CONFIGURATIONS);
+        const matching_configuration = configurations.find(config => config.site_match()) || FALLBACK_CONFIGURATION;
 
         if (matching_configuration) {
             const webpack_patch_registrar = new WebpackPatchRegistrar(null);
@@ -851,7 +4993,47 @@
                         register: Object.freeze(webpack_patch_registrar.register_patches.bind(webpack_patch_registrar)),
                         addEventListener: Object.freeze(webpack_patch_registrar.add_event_listener.bind(webpack_patch_registrar)),
                         removeEventListener: Object.freeze(webpack_patch_registrar.remove_event_listener.bind(webpack_patch_registrar)),
-                        
+
+                        findByProps: Object.freeze((props, options) => webpack_patch_registrar.find_by_props(props, options)),
+                        findAllByProps: Object.freeze((props, options) => webpack_patch_registrar.find_by_props(props, { ...options, all: true })),
+                        findByCode: Object.freeze((code, options) => webpack_patch_registrar.find_by_code(code, options)),
+                        findAllByCode: Object.freeze((code, options) => webpack_patch_registrar.find_by_code(code, { ...options, all: true })),
+                        findByExports: Object.freeze((filter, options) => webpack_patch_registrar.find_module(filter, options)),
+                        findAllByExports: Object.freeze((filter, options) => webpack_patch_registrar.find_module(filter, { ...options, all: true })),
+                        unregister: Object.freeze(webpack_patch_registrar.unregister.bind(webpack_patch_registrar)),
+                        enable: Object.freeze((name, patch_index) => webpack_patch_registrar.set_enabled(name, true, patch_index)),
+                        disable: Object.freeze((name, patch_index) => webpack_patch_registrar.set_enabled(name, false, patch_index)),
+                        getConflicts: Object.freeze(webpack_patch_registrar.get_conflicts.bind(webpack_patch_registrar)),
+                        getPatchReport: Object.freeze(webpack_patch_registrar.get_patch_report.bind(webpack_patch_registrar)),
+                        validatePatches: Object.freeze(webpack_patch_registrar.validate_patches.bind(webpack_patch_registrar)),
+                        getValidationReport: Object.freeze(webpack_patch_registrar.get_validation_report.bind(webpack_patch_registrar)),
+                        getConfigurations: Object.freeze(() => ({
+                            active: matching_configuration === FALLBACK_CONFIGURATION ? null : { name: matching_configuration.name, source: matching_configuration.source },
+                            entries: configuration_report.map(entry => ({ ...entry, errors: [...entry.errors] }))
+                        })),
+                        saveConfiguration: Object.freeze(save_configuration),
+                        removeConfiguration: Object.freeze(remove_configuration),
+                        getDetectionReport: Object.freeze(webpack_patch_registrar.get_detection_report.bind(webpack_patch_registrar)),
+                        confirmDetection: Object.freeze(webpack_patch_registrar.confirm_detection.bind(webpack_patch_registrar)),
+                        overrideDetection: Object.freeze(webpack_patch_registrar.override_detection.bind(webpack_patch_registrar)),
+                        resetDetection: Object.freeze(webpack_patch_registrar.reset_detection.bind(webpack_patch_registrar)),
+                        clearPersistentCache: Object.freeze(webpack_patch_registrar.clear_persistent_cache.bind(webpack_patch_registrar)),
+                        getMatchMetrics: Object.freeze(webpack_patch_registrar.get_match_metrics.bind(webpack_patch_registrar)),
+                        getEvaluationInfo: Object.freeze(webpack_patch_registrar.get_evaluation_info.bind(webpack_patch_registrar)),
+                        benchmarkMatching: Object.freeze(webpack_patch_registrar.benchmark_matching.bind(webpack_patch_registrar)),
+                        dumpModules: Object.freeze(webpack_patch_registrar.dump_modules.bind(webpack_patch_registrar)),
+                        downloadModuleDump: Object.freeze(webpack_patch_registrar.download_module_dump.bind(webpack_patch_registrar)),
+                        intercept: Object.freeze(webpack_patch_registrar.intercept.bind(webpack_patch_registrar)),
+                        findChunks: Object.freeze(webpack_patch_registrar.find_chunks.bind(webpack_patch_registrar)),
+                        loadChunks: Object.freeze(webpack_patch_registrar.load_chunks.bind(webpack_patch_registrar)),
+                        loadLazyChunks: Object.freeze(webpack_patch_registrar.load_lazy_chunks.bind(webpack_patch_registrar)),
+                        waitFor: Object.freeze(webpack_patch_registrar.wait_for_module.bind(webpack_patch_registrar)),
+                        search: Object.freeze(webpack_patch_registrar.search.bind(webpack_patch_registrar)),
+                        filters: Object.freeze({
+                            byProps: Object.freeze(webpack_patch_registrar.filter_by_props.bind(webpack_patch_registrar)),
+                            byCode: Object.freeze(webpack_patch_registrar.filter_by_code.bind(webpack_patch_registrar))
+                        }),
+
                         Registrars: {},
 
                         get webpackRequire() {
@@ -863,9 +5045,18 @@
                         get moduleCache() {
                             return webpack_patch_registrar.webpack_cache;
                         },
+                        get instances() {
+                            return webpack_patch_registrar.instances;
+                        },
+                        get primaryInstance() {
+                            return webpack_patch_registrar.primary_instance;
+                        },
                         get patches() {
                             return webpack_patch_registrar.patches;
                         },
+                        get chunks() {
+                            return webpack_patch_registrar.chunks;
+                        },
                         get patchedModules() {
                             return webpack_patch_registrar.patched_modules;
                         },
@@ -884,7 +5075,11 @@
                 }
             });
 
-            logger.log(`Using configuration for ${location.hostname}`);
+            if (matching_configuration === FALLBACK_CONFIGURATION) {
+                logger.log(`No configuration for ${location.hostname}, auto-detecting the webpack instance`);
+            } else {
+                logger.log(`Using configuration "${matching_configuration.name}" (${matching_configuration.source}) for ${location.hostname}`);
+            }
             const patcher = WebpackPatcher.initialize(logger, matching_configuration.options || {});
             webpack_patch_registrar.set_patcher(patcher);
         }   
@@ -892,6 +5087,7 @@
 
     const CONFIGURATIONS = [
         {
+            name: "deezer",
             site_match: () => location.hostname === "www.deezer.com" || location.href.includes("deezer-desktop/resources/app.asar/build/index.html"),
             options: {
                 filter_func: (ctx, stack_lines) => {
@@ -900,6 +5096,7 @@
             },
         },
         {
+            name: "discord",
             site_match: () => location.hostname === "discord.com",
             options: {
                 filter_func: (ctx, stack_lines) => {
@@ -909,5 +5106,12 @@
         }
     ];
 
-    main(CONFIGURATIONS);
+    // used when no configuration matches, set to null to only run on configured sites
+    const FALLBACK_CONFIGURATION = {
+        options: {
+            auto_detect: true,
+        },
+    };
+
+    main(CONFIGURATIONS, FALLBACK_CONFIGURATION);
 })();